@@ -0,0 +1,2837 @@
+/* Extinction Escape: Game Engine
+ * The rules of the game without any DOM access.  All progress lives in a
+ * single state object created by createState().  advance() moves the state
+ * forward in time and the action reducers (buy unit, buy upgrade, claim
+ * achievement, prestige and so on) change it in response to the player.
+ * The browser UI in script.js wraps the state in a game store and renders
+ * whenever it changes; under Node the same functions can be required
+ * directly to test the economy or build tools on top of it.
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EscapeEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // ==== Definitions ====
+
+  // Define the rescue units.  Each unit has a name, base cost, base
+  // rescue rate (animals per minute) and a cost multiplier for scaling.
+  // Tags name the unit's category ('ground', 'water', 'air') so that bonuses
+  // can target it.  Terrain multiplies the rate of units dispatched to a
+  // mission with that tag; terrain not listed counts as 1.
+  const unitDefinitions = [
+    { name: 'Pickup Truck', baseCost: 50, baseRate: 1, costMultiplier: 1.15, tags: ['ground'], terrain: { fire: 1.5, water: 0.5, snow: 0.5 } },
+    { name: 'Boat', baseCost: 250, baseRate: 4, costMultiplier: 1.15, tags: ['water'], terrain: { water: 2, ice: 1.5, fire: 0.5, snow: 0.25 } },
+    { name: 'Helicopter', baseCost: 1000, baseRate: 12, costMultiplier: 1.15, tags: ['air'], terrain: { snow: 2, ice: 1.5 } },
+    { name: 'Cargo Plane', baseCost: 5000, baseRate: 30, costMultiplier: 1.15, tags: ['air'], terrain: { fire: 1.5, snow: 0.75 } },
+    { name: 'Rescue Team', baseCost: 20000, baseRate: 75, costMultiplier: 1.15, tags: ['ground'], terrain: { snow: 1.5, fire: 1.25 } },
+    { name: 'Supply Drop Drone', baseCost: 100000, baseRate: 200, costMultiplier: 1.15, tags: ['air'], terrain: { ice: 1.5, water: 1.25 } }
+  ];
+
+  // Ownership milestones reached separately by every unit type.  Each one
+  // multiplies that unit's baseRate, and the multipliers stack, so 100
+  // Pickup Trucks produce 2 x 2 x 2 x 3 = 24 times their linear output.
+  const UNIT_MILESTONES = [
+    { owned: 10, multiplier: 2 },
+    { owned: 25, multiplier: 2 },
+    { owned: 50, multiplier: 2 },
+    { owned: 100, multiplier: 3 }
+  ];
+
+  // Mission definitions per species, which the mission generator builds
+  // board offers from.  Biomes append their own.
+  // Tags name the mission type ('fire', 'water', 'snow', 'ice') so that
+  // bonuses can target it.
+  const missionDefinitions = [
+    { name: 'Jungle Fire', duration: 120, baseRisk: 20, difficulty: 1.0, species: 'Koala', tags: ['fire'] },
+    { name: 'Coastal Flood', duration: 150, baseRisk: 30, difficulty: 1.1, species: 'Sea Turtle', tags: ['water'] },
+    { name: 'Mountain Avalanche', duration: 90, baseRisk: 15, difficulty: 1.3, species: 'Panda', tags: ['snow'] },
+    { name: 'Arctic Ice Break', duration: 180, baseRisk: 25, difficulty: 1.2, species: 'Penguin', tags: ['ice'] }
+  ];
+
+  // Species definitions. Each species grants a bonus when rescued.
+  // effectType can be 'rate', 'time', or 'animals'.
+  // effectValue is applied as a percentage (e.g., 0.02 = 2%).
+  // An optional tag scopes the bonus: rate bonuses then apply only to units
+  // with that tag, time and animal bonuses only to missions with that tag.
+  // description and status (the IUCN Red List category) feed the field guide.
+  const speciesDefinitions = [
+    { name: 'Koala', bonus: '+2% fire rescue speed', effectType: 'time', effectValue: 0.02, tag: 'fire',
+      description: 'A tree-dwelling marsupial of eastern Australia that feeds almost only on eucalyptus leaves.  Bushfires and land clearing destroy its forests.',
+      status: 'Vulnerable' },
+    { name: 'Panda', bonus: '+5% food gathering speed', effectType: 'rate', effectValue: 0.05,
+      description: 'The giant panda lives in the mountain bamboo forests of central China and eats up to 40 kg of bamboo a day.',
+      status: 'Vulnerable' },
+    { name: 'Sea Turtle', bonus: '+5% boat rescue capacity', effectType: 'rate', effectValue: 0.05, tag: 'water',
+      description: 'Green sea turtles graze on seagrass and return to the beach where they hatched to nest.  Rising seas and storms wash nests away.',
+      status: 'Endangered' },
+    { name: 'Tiger', bonus: '+10% ground rescue speed', effectType: 'rate', effectValue: 0.10, tag: 'ground',
+      description: 'The largest wild cat, found in scattered forests across Asia.  It needs large territories and is threatened by poaching and habitat loss.',
+      status: 'Endangered' },
+    { name: 'Penguin', bonus: '+5% ice terrain speed', effectType: 'time', effectValue: 0.05, tag: 'ice',
+      description: 'Emperor penguins breed on Antarctic sea ice through the winter.  When the ice breaks up early, their chicks are lost.',
+      status: 'Near Threatened' },
+    { name: 'Elephant', bonus: '+15% vehicle capacity', effectType: 'animals', effectValue: 0.15,
+      description: 'African savanna elephants are the largest land animals.  Their herds shape the landscape but suffer from ivory poaching.',
+      status: 'Endangered' },
+    { name: 'Parrot', bonus: '+3% fuel gathering', effectType: 'rate', effectValue: 0.03,
+      description: 'The African grey parrot of West and Central African rainforests is famed for mimicking speech and is heavily trapped for the pet trade.',
+      status: 'Endangered' },
+    { name: 'Dolphin', bonus: '+10% boat speed', effectType: 'rate', effectValue: 0.10, tag: 'water',
+      description: 'Bottlenose dolphins hunt in cooperative pods in warm coastal waters and are harmed by fishing nets and polluted seas.',
+      status: 'Least Concern' }
+  ];
+
+  // Mastery tiers reached by rescuing animals of a species, counted across
+  // every reserve.  Each tier multiplies the species' effectValue.
+  const MASTERY_TIERS = [
+    { name: 'Bronze', rescued: 10, multiplier: 1.5 },
+    { name: 'Silver', rescued: 100, multiplier: 2 },
+    { name: 'Gold', rescued: 1000, multiplier: 3 },
+    { name: 'Platinum', rescued: 10000, multiplier: 5 }
+  ];
+
+  // Unlockable biomes, registered from the JSON packs in biomes/ by
+  // registerBiomePack().  Each biome costs a certain number of permits and
+  // brings its own species, colors, species centers, units, upgrades,
+  // missions, events and achievements (see BIOME_PACK_SCHEMA).
+  const biomeDefinitions = [];
+
+  // Permit skill tree.  Nodes are bought one level at a time with permits,
+  // up to maxLevel, and level n costs baseCost * costMultiplier^n.  A node
+  // can be bought once every node it requires has reached the listed level.
+  // effectValue is per level:
+  //   rate, animals, time  additive percentages like other bonuses
+  //   offlineHours         hours added to the offline progress cap
+  //   autoBuy              level 1 buys units automatically, level 2 also upgrades
+  //   boardSlots           extra offers on the mission board
+  //   startingCoins        coins to start each new reserve with
+  //   biomeDiscount        permits off every biome unlock (never below 1)
+  //   mapLevel             reserve map level; level 1 unlocks the map and
+  //                        each further level reveals more of it
+  const permitTreeDefinitions = [
+    { id: 'training', name: 'Rescue Training', branch: 'Operations', effect: 'rate', effectValue: 0.05, maxLevel: 5, baseCost: 1, costMultiplier: 1.5, requires: [] },
+    { id: 'care', name: 'Animal Care', branch: 'Operations', effect: 'animals', effectValue: 0.10, maxLevel: 5, baseCost: 1, costMultiplier: 1.5, requires: [] },
+    { id: 'response', name: 'Rapid Response', branch: 'Operations', effect: 'time', effectValue: 0.05, maxLevel: 5, baseCost: 1, costMultiplier: 1.5, requires: [{ id: 'training', level: 1 }] },
+    { id: 'fieldOffice', name: 'Field Office', branch: 'Operations', effect: 'boardSlots', effectValue: 1, maxLevel: 2, baseCost: 3, costMultiplier: 2, requires: [{ id: 'care', level: 2 }, { id: 'response', level: 2 }] },
+    { id: 'seedFunding', name: 'Seed Funding', branch: 'Logistics', effect: 'startingCoins', effectValue: 500, maxLevel: 5, baseCost: 1, costMultiplier: 2, requires: [] },
+    { id: 'nightShift', name: 'Night Shift', branch: 'Logistics', effect: 'offlineHours', effectValue: 2, maxLevel: 4, baseCost: 2, costMultiplier: 1.5, requires: [] },
+    { id: 'quartermaster', name: 'Quartermaster', branch: 'Logistics', effect: 'autoBuy', effectValue: 1, maxLevel: 2, baseCost: 3, costMultiplier: 2, requires: [{ id: 'seedFunding', level: 2 }] },
+    { id: 'landGrants', name: 'Land Grants', branch: 'Expansion', effect: 'biomeDiscount', effectValue: 1, maxLevel: 2, baseCost: 2, costMultiplier: 2, requires: [{ id: 'nightShift', level: 1 }] },
+    { id: 'map', name: 'Map Upgrade', branch: 'Expansion', effect: 'mapLevel', effectValue: 1, maxLevel: 4, baseCost: 1, costMultiplier: 2, requires: [] }
+  ];
+
+  // Cost multiplier of the flat permit shop the tree replaced; its levels
+  // cost 1, 2, 4, ... permits and are refunded when an older save is loaded
+  const LEGACY_PERMIT_COST_MULTIPLIER = 2;
+
+  // Lifetime animals saved per permit earned by founding a new reserve
+  const ANIMALS_PER_PERMIT = 1000;
+
+  // World events definitions. Each event lasts for several hours and grants temporary modifiers.
+  // While an event runs, the mission board offers crisis missions built from
+  // missions with the crisis tag (any mission if there is none) and the
+  // listed modifiers.  Animals saved on those missions count toward the
+  // event goal.
+  const eventsList = [
+    { id: 'flood', name: 'Coastal Flood', duration: 7200, rateBonus: 0.20, animalBonus: 0.10, timeReduction: 0,
+      crisis: { name: 'Flood Crisis', tag: 'water', modifiers: [] } },
+    { id: 'wildfire', name: 'Wildfire', duration: 7200, rateBonus: 0.15, animalBonus: 0, timeReduction: 0.10,
+      crisis: { name: 'Wildfire Crisis', tag: 'fire', modifiers: [] } },
+    { id: 'ice', name: 'Ice Melt', duration: 7200, rateBonus: 0, animalBonus: 0, timeReduction: 0.20,
+      crisis: { name: 'Ice Melt Crisis', tag: 'ice', modifiers: [] } },
+    { id: 'storm', name: 'Storm Season', duration: 7200, rateBonus: 0.10, animalBonus: 0.05, timeReduction: 0.05,
+      crisis: { name: 'Storm Crisis', tag: null, modifiers: ['storm'] } }
+  ];
+
+  // Crisis missions put more animals at risk and pay more than regular ones
+  const CRISIS_RISK_MULTIPLIER = 2;
+  const CRISIS_REWARD_MULTIPLIER = 3;
+  // Event goals ask for this many typical missions' worth of animals and
+  // pay this many coins per animal in the goal
+  const EVENT_GOAL_MISSIONS = 10;
+  const EVENT_GOAL_REWARD_PER_ANIMAL = 10;
+
+  // Upgrade definitions
+  // Each upgrade has a name, effect type (rate, animals, time) and effect value,
+  // as well as a base cost and cost multiplier for exponential scaling.
+  // Upgrades with a tag are scoped like tagged species bonuses.
+  const upgradeDefinitions = [
+    { name: 'Faster Engines', effectType: 'rate', effectValue: 0.10, baseCost: 500, costMultiplier: 1.25 },
+    { name: 'Rescue Crates', effectType: 'animals', effectValue: 0.05, baseCost: 1500, costMultiplier: 1.25 },
+    { name: 'GPS Tracking', effectType: 'time', effectValue: 0.05, baseCost: 5000, costMultiplier: 1.30 },
+    { name: 'Animal Care Kit', effectType: 'animals', effectValue: 0.05, baseCost: 10000, costMultiplier: 1.30 },
+    { name: 'Emergency Sirens', effectType: 'rate', effectValue: 0.10, baseCost: 25000, costMultiplier: 1.40 },
+    { name: 'Pontoon Rafts', effectType: 'rate', effectValue: 0.25, baseCost: 3000, costMultiplier: 1.30, tag: 'water' },
+    { name: 'Firebreak Crews', effectType: 'time', effectValue: 0.10, baseCost: 4000, costMultiplier: 1.30, tag: 'fire' }
+  ];
+
+  // Click upgrades for the manual rescue button, bought with coins and reset
+  // on prestige.  effectType is 'power' (animals added per click), 'rateShare'
+  // (share of the per-second rescue rate added per click), 'crit' (critical
+  // rescue chance) or 'combo' (extra multiplier per combo step).
+  const clickUpgradeDefinitions = [
+    { name: 'Rescue Gloves', effectType: 'power', effectValue: 1, baseCost: 100, costMultiplier: 1.5 },
+    { name: 'Megaphone', effectType: 'rateShare', effectValue: 0.02, baseCost: 750, costMultiplier: 1.6 },
+    { name: 'Lucky Charm', effectType: 'crit', effectValue: 0.01, baseCost: 1500, costMultiplier: 1.8 },
+    { name: 'Adrenaline', effectType: 'combo', effectValue: 0.005, baseCost: 3000, costMultiplier: 1.7 }
+  ];
+
+  // Daily bonus granted once per calendar day
+  const DAILY_BONUS_COINS = 50;
+
+  // Define a set of achievements. Each achievement has an id, a description,
+  // a check function to determine if it's complete, a reward type and reward value.
+  // Reward types can be 'coins', 'rate', 'time', 'animals'.
+  const achievements = [
+    { id: 'save100', description: 'Save 100 animals', check: state => state.lifetimeAnimalsSaved >= 100, rewardType: 'coins', rewardValue: 100 },
+    { id: 'own10Units', description: 'Own 10 rescue units', check: state => state.unitsOwned.reduce((a, b) => a + b, 0) >= 10, rewardType: 'rate', rewardValue: 0.02 },
+    { id: 'complete5Missions', description: 'Complete 5 missions', check: state => state.missionsCompleted >= 5, rewardType: 'animals', rewardValue: 0.05 },
+    { id: 'saveAllSpecies', description: 'Save all species', check: state => state.speciesList.every(sp => sp.saved), rewardType: 'time', rewardValue: 0.05 },
+    { id: 'earn1Permit', description: 'Earn 1 permit', check: state => state.permitsTotal >= 1, rewardType: 'coins', rewardValue: 200 },
+    { id: 'succeed10Missions', description: 'Finish 10 missions with a success', check: state => state.missionOutcomes.success >= 10, rewardType: 'animals', rewardValue: 0.05 },
+    { id: 'perfectMission', description: 'Rescue every animal on a mission', check: state => state.missionOutcomes.perfect >= 1, rewardType: 'coins', rewardValue: 300 }
+  ];
+
+  // Questline: "Rebuild the Reef" with ordered steps. Each step has a description,
+  // a check function to determine completion, a reward type and value.
+  const questSteps = [
+    { description: 'Save 50 animals', check: state => state.lifetimeAnimalsSaved >= 50, rewardType: 'coins', rewardValue: 100 },
+    { description: 'Own 2 Boats', check: state => state.unitsOwned[1] >= 2, rewardType: 'coins', rewardValue: 200 },
+    { description: 'Save 5 Sea Turtles', check: state => (state.reserveCounts['Sea Turtle'] || 0) >= 5, rewardType: 'rate', rewardValue: 0.02 },
+    { description: 'Own 1 Helicopter', check: state => state.unitsOwned[2] >= 1, rewardType: 'permit', rewardValue: 1 },
+    { description: 'Save 100 animals', check: state => state.lifetimeAnimalsSaved >= 100, rewardType: 'animals', rewardValue: 0.05 }
+  ];
+
+  // Onboarding tasks with simple completion checks
+  const tasks = [
+    { id: 'save10', description: 'Save 10 animals', check: state => state.animalsSaved >= 10 },
+    { id: 'buyPickup', description: 'Buy a Pickup Truck', check: state => state.unitsOwned[0] >= 1 },
+    { id: 'completeMission1', description: 'Complete your first mission', check: state => state.missionsCompleted >= 1 }
+  ];
+
+  // ==== State ====
+
+  /**
+   * Create the state for a brand new game.  Definition lists that biomes can
+   * extend (units, missions and species) are copied into the state so that
+   * several games can run side by side.  Biome packs register for the whole
+   * engine; a state created before a pack registered makes room for the
+   * pack's upgrades when it is next used (see fitUpgrades()).
+   * @param {number} [now] Current time in milliseconds, defaults to Date.now()
+   * @returns {Object}
+   */
+  function createState(now) {
+    return {
+      // Simulation clock in milliseconds; advance() moves it forward
+      now: now !== undefined ? now : Date.now(),
+      coins: 0,
+      animalsSaved: 0,
+      // Units, including any added by unlocked biomes
+      unitDefinitions: unitDefinitions.map(unit => Object.assign({}, unit)),
+      unitsOwned: unitDefinitions.map(() => 0),
+      nextCosts: unitDefinitions.map(unit => unit.baseCost),
+      // Upgrades purchased this run and the bonuses they grant
+      upgradesOwned: upgradeDefinitions.map(() => 0),
+      upgradeCosts: upgradeDefinitions.map(upg => upg.baseCost),
+      // Click upgrades purchased this run
+      clickUpgradesOwned: clickUpgradeDefinitions.map(() => 0),
+      clickUpgradeCosts: clickUpgradeDefinitions.map(upg => upg.baseCost),
+      // Manual rescue combo and recent click times (not saved)
+      clickCombo: 0,
+      lastClickAt: 0,
+      recentClicks: [],
+      autoClickUntil: 0,
+      globalRateBonus: 0,      // sum of rate bonuses
+      globalTimeReduction: 0,  // sum of time reductions (percentage)
+      globalAnimalBonus: 0,    // sum of animal bonuses (percentage)
+      // Mission templates, including any added by unlocked biomes
+      missions: missionDefinitions.map(mission => Object.assign({}, mission)),
+      // Offers on the mission board, when they are next replaced (state
+      // clock, ms), the ID for the next offer and the seed of the last
+      // generated offer
+      missionBoard: [],
+      boardRefreshAt: 0,
+      nextOfferId: 1,
+      missionSeed: Math.floor(Math.random() * 4294967296),
+      // The offer the player started, or null while no mission runs
+      currentMission: null,
+      missionTimeLeft: 0,
+      animalsAtRisk: 0,
+      totalAnimalsForMission: 0,
+      missionsCompleted: 0,
+      // Mission outcomes across all reserves and animals lost per species
+      missionOutcomes: { success: 0, partial: 0, failed: 0, perfect: 0 },
+      lostAnimals: {},
+      // Animals rescued per species across all reserves, for mastery tiers
+      speciesRescued: {},
+      // When each species was first rescued, and its rescued total after
+      // each mission, up to SPECIES_HISTORY_LIMIT points per species
+      firstRescuedAt: {},
+      speciesHistory: {},
+      // Consecutive failures and threat level per species in this reserve
+      failureStreaks: {},
+      threatLevels: {},
+      // Result of the last finished mission and the harder replay offered
+      // after a failure
+      lastOutcome: null,
+      retryOffer: null,
+      // Finished missions, oldest first, up to MISSION_HISTORY_LIMIT
+      missionHistory: [],
+      // Species with their saved flags and the bonuses of saved species
+      speciesList: speciesDefinitions.map(sp => Object.assign({ saved: false }, sp)),
+      speciesRateBonus: 0,
+      speciesTimeReduction: 0,
+      speciesAnimalBonus: 0,
+      // Tagged species and upgrade bonuses by effect type, then by tag
+      taggedBonuses: { rate: {}, time: {}, animals: {} },
+      // Animals per species in the current reserve: rescued on missions and
+      // born in the Sanctuary (fractional while they grow)
+      reserveCounts: {},
+      // Animals saved this season (since the last prestige) and the best season
+      seasonAnimalsSaved: 0,
+      bestSeasonTotal: 0,
+      // Unlocked biomes in the order they were unlocked
+      biomesUnlocked: {},
+      // Prestige: permits are earned from lifetime animals saved
+      prestigeCount: 0,      // reserves founded so far
+      permitsTotal: 0,       // total permits ever earned across all runs
+      permitsAvailable: 0,   // permits not yet spent
+      lifetimeAnimalsSaved: 0, // animals saved across all reserves (including current run)
+      permitTree: {},          // level of each permit tree node by id
+      autoBuyTimer: 0,         // seconds since the last automatic purchase (not saved)
+      permitRateBonus: 0,
+      permitAnimalBonus: 0,
+      permitTimeReduction: 0,
+      // Current world event and its modifiers
+      activeEvent: null,
+      eventRateBonus: 0,
+      eventAnimalBonus: 0,
+      eventTimeReduction: 0,
+      lastDailyBonusDate: null,
+      // Coins earned while away that the player has not claimed yet
+      unclaimedOfflineCoins: 0,
+      // Achievements, questline and onboarding tasks
+      achievementsCompleted: {},
+      achievementRateBonus: 0,
+      achievementTimeReduction: 0,
+      achievementAnimalBonus: 0,
+      currentQuestStep: 0,
+      questStepsClaimed: {},
+      tasksCompleted: {},
+      // Saved progress in content of biome packs that are not registered
+      // this session, kept as loaded so the next save writes it back:
+      // units and upgrades by name ({ owned, cost }) and species saved flags
+      detachedUnits: {},
+      detachedUpgrades: {},
+      detachedSpecies: []
+    };
+  }
+
+  // ==== Bonuses ====
+
+  // Compute species bonuses based on saved species
+  function updateSpeciesBonuses(state) {
+    state.speciesRateBonus = 0;
+    state.speciesTimeReduction = 0;
+    state.speciesAnimalBonus = 0;
+    state.speciesList.forEach(sp => {
+      if (sp.saved && !sp.tag) {
+        const value = speciesEffectValue(state, sp);
+        if (sp.effectType === 'rate') {
+          state.speciesRateBonus += value;
+        } else if (sp.effectType === 'time') {
+          state.speciesTimeReduction += value;
+        } else if (sp.effectType === 'animals') {
+          state.speciesAnimalBonus += value;
+        }
+      }
+    });
+    // Cap time reduction at 0.9 to prevent negative durations
+    if (state.speciesTimeReduction + state.globalTimeReduction > 0.9) {
+      const excess = state.speciesTimeReduction + state.globalTimeReduction - 0.9;
+      // Reduce speciesTimeReduction proportionally to fit
+      state.speciesTimeReduction -= excess;
+      if (state.speciesTimeReduction < 0) state.speciesTimeReduction = 0;
+    }
+    updateTaggedBonuses(state);
+  }
+
+  // Highest mastery tier reached with the given number of rescued animals, or null
+  function masteryTier(rescued) {
+    return MASTERY_TIERS.filter(tier => rescued >= tier.rescued).pop() || null;
+  }
+
+  // Next mastery tier to reach, or null once Platinum is reached
+  function nextMasteryTier(rescued) {
+    return MASTERY_TIERS.find(tier => rescued < tier.rescued) || null;
+  }
+
+  // A species' effectValue raised by its mastery tier
+  function speciesEffectValue(state, sp) {
+    const tier = masteryTier(state.speciesRescued[sp.name] || 0);
+    return sp.effectValue * (tier ? tier.multiplier : 1);
+  }
+
+  // Collect tagged bonuses from saved species and owned upgrades
+  function updateTaggedBonuses(state) {
+    const bonuses = { rate: {}, time: {}, animals: {} };
+    bonusSources(state).forEach(source => {
+      if (source.active && bonuses[source.effectType]) {
+        const byTag = bonuses[source.effectType];
+        byTag[source.tag] = (byTag[source.tag] || 0) + source.value;
+      }
+    });
+    state.taggedBonuses = bonuses;
+  }
+
+  /**
+   * List every tagged bonus in the game, whether or not it is active yet.
+   * Sources are saved species and owned upgrades.
+   * @returns {Array<{name: string, kind: string, effectType: string, tag: string, value: number, active: boolean}>}
+   */
+  function bonusSources(state) {
+    const sources = [];
+    state.speciesList.forEach(sp => {
+      if (sp.tag) {
+        sources.push({ name: sp.name, kind: 'species', effectType: sp.effectType, tag: sp.tag, value: speciesEffectValue(state, sp), active: !!sp.saved });
+      }
+    });
+    upgradeDefinitions.forEach((upg, index) => {
+      if (upg.tag) {
+        const owned = state.upgradesOwned[index];
+        sources.push({ name: upg.name, kind: 'upgrade', effectType: upg.effectType, tag: upg.tag, value: upg.effectValue * owned, active: owned > 0 });
+      }
+    });
+    return sources;
+  }
+
+  // Sum of the tagged bonuses of one effect type that match any of the tags
+  function taggedBonus(state, effectType, tags) {
+    const byTag = state.taggedBonuses[effectType];
+    return (tags || []).reduce((sum, tag) => sum + (byTag[tag] || 0), 0);
+  }
+
+  /**
+   * Tagged bonuses that can apply to a unit or mission.  Rate bonuses target
+   * units, time and animal bonuses target missions.
+   * @param {Object} state
+   * @param {string} kind 'unit' or 'mission'
+   * @param {Object} target The unit or mission definition
+   */
+  function bonusesFor(state, kind, target) {
+    const tags = target.tags || [];
+    return bonusSources(state).filter(source => {
+      const matchesKind = kind === 'unit' ? source.effectType === 'rate' : source.effectType !== 'rate';
+      return matchesKind && tags.indexOf(source.tag) !== -1;
+    });
+  }
+
+  // Compute permit bonuses based on the permit tree
+  function applyPermitBonuses(state) {
+    state.permitRateBonus = permitEffect(state, 'rate');
+    state.permitAnimalBonus = permitEffect(state, 'animals');
+    state.permitTimeReduction = permitEffect(state, 'time');
+  }
+
+  // Apply the modifiers from the active event to the event bonus fields
+  function updateEventBonuses(state) {
+    const event = state.activeEvent;
+    state.eventRateBonus = event ? event.rateBonus || 0 : 0;
+    state.eventAnimalBonus = event ? event.animalBonus || 0 : 0;
+    state.eventTimeReduction = event ? event.timeReduction || 0 : 0;
+  }
+
+  // Keep the achievement time reduction within the 90% cap on mission time
+  function capAchievementTimeReduction(state) {
+    const others = state.globalTimeReduction + state.speciesTimeReduction + state.permitTimeReduction + state.eventTimeReduction;
+    if (state.achievementTimeReduction + others > 0.9) {
+      state.achievementTimeReduction = Math.max(0, 0.9 - others);
+    }
+  }
+
+  // Combined multiplier of every milestone reached with this many units owned
+  function unitMilestoneMultiplier(owned) {
+    return UNIT_MILESTONES.reduce((multiplier, milestone) => {
+      return owned >= milestone.owned ? multiplier * milestone.multiplier : multiplier;
+    }, 1);
+  }
+
+  // The next milestone still ahead, or null once all have been reached
+  function nextUnitMilestone(owned) {
+    return UNIT_MILESTONES.find(milestone => owned < milestone.owned) || null;
+  }
+
+  // Animals per minute from some units of one type, including milestones
+  // (from all owned units) and bonuses that target the unit's tags, but
+  // before global bonuses
+  function unitOutput(state, index, count) {
+    const unit = state.unitDefinitions[index];
+    return count * unit.baseRate * unitMilestoneMultiplier(state.unitsOwned[index]) * (1 + taggedBonus(state, 'rate', unit.tags));
+  }
+
+  // Units of one type dispatched to the running mission
+  function deployedUnits(state, index) {
+    const mission = state.currentMission;
+    return mission && mission.deployed ? mission.deployed[index] || 0 : 0;
+  }
+
+  // Animals per minute from the units of one type that are not dispatched,
+  // before global bonuses
+  function unitRate(state, index) {
+    return unitOutput(state, index, state.unitsOwned[index] - deployedUnits(state, index));
+  }
+
+  // Terrain multiplier of a unit on a mission: the product of the unit's
+  // terrain values for every tag of the mission, and of the mission's biome
+  // rules for every tag of the unit
+  function terrainMultiplier(unit, mission) {
+    const terrain = unit.terrain || {};
+    const fromTags = (mission.tags || []).reduce((multiplier, tag) => {
+      return multiplier * (terrain[tag] !== undefined ? terrain[tag] : 1);
+    }, 1);
+    const biome = mission.biome && biomeDefinitions.find(b => b.id === mission.biome);
+    const rules = biome ? biome.terrainRules.units : {};
+    return (unit.tags || []).reduce((multiplier, tag) => {
+      return multiplier * (rules[tag] !== undefined ? rules[tag] : 1);
+    }, fromTags);
+  }
+
+  // Global, species, permit, event and achievement rate bonuses (additive percentages)
+  function rateMultiplier(state) {
+    return 1 + state.globalRateBonus + state.speciesRateBonus + state.permitRateBonus + state.eventRateBonus + state.achievementRateBonus;
+  }
+
+  // Compute the current rescue rate (animals per second) of the units that
+  // are not dispatched to a mission
+  function computeRescueRate(state) {
+    let ratePerSec = 0;
+    state.unitsOwned.forEach((count, index) => {
+      ratePerSec += unitRate(state, index) / 60;
+    });
+    return ratePerSec * rateMultiplier(state);
+  }
+
+  // Rescue rate (animals per second) of the units dispatched to the running
+  // mission, adjusted for terrain.  These animals only count for the mission.
+  function computeMissionRate(state) {
+    const mission = state.currentMission;
+    if (!mission) return 0;
+    let ratePerSec = 0;
+    state.unitDefinitions.forEach((unit, index) => {
+      const deployed = deployedUnits(state, index);
+      if (deployed > 0) {
+        ratePerSec += unitOutput(state, index, deployed) * terrainMultiplier(unit, mission) / 60;
+      }
+    });
+    return ratePerSec * rateMultiplier(state);
+  }
+
+  // Number of permits a prestige would award right now
+  function pendingPermits(state) {
+    return Math.max(0, Math.floor(state.lifetimeAnimalsSaved / ANIMALS_PER_PERMIT) - state.permitsTotal);
+  }
+
+  /**
+   * Preview of founding a new reserve now: the permits it awards, how far
+   * the next permit is, and the run that would be reset.  The time to the
+   * next permit assumes the current passive rescue rate; missions and
+   * manual rescues only bring it closer.
+   * @param {Object} state
+   * @returns {{permits: number, animalsToNextPermit: number, rescueRate: number,
+   *   secondsToNextPermit: number, startingCoins: number, reserve: Object}}
+   *   secondsToNextPermit is Infinity when nothing is being rescued
+   */
+  function prestigePreview(state) {
+    const earned = Math.max(Math.floor(state.lifetimeAnimalsSaved / ANIMALS_PER_PERMIT), state.permitsTotal);
+    const animalsToNextPermit = (earned + 1) * ANIMALS_PER_PERMIT - state.lifetimeAnimalsSaved;
+    const rescueRate = computeRescueRate(state);
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    const reserveAnimals = sum(Object.keys(state.reserveCounts).map(name => state.reserveCounts[name]));
+    const topSpecies = Object.keys(state.reserveCounts)
+      .sort((a, b) => state.reserveCounts[b] - state.reserveCounts[a])[0] || null;
+    return {
+      permits: pendingPermits(state),
+      animalsToNextPermit: animalsToNextPermit,
+      rescueRate: rescueRate,
+      secondsToNextPermit: rescueRate > 0 ? animalsToNextPermit / rescueRate : Infinity,
+      startingCoins: permitEffect(state, 'startingCoins'),
+      // The run a prestige ends
+      reserve: {
+        number: state.prestigeCount + 1,
+        coins: state.coins,
+        animalsSaved: state.animalsSaved,
+        unitsOwned: sum(state.unitsOwned),
+        upgradesOwned: sum(state.upgradesOwned),
+        clickUpgradesOwned: sum(state.clickUpgradesOwned),
+        speciesSaved: state.speciesList.filter(sp => sp.saved).length,
+        tasksCompleted: Object.keys(state.tasksCompleted).filter(key => state.tasksCompleted[key]).length,
+        missionsCompleted: state.missionsCompleted,
+        reserveAnimals: reserveAnimals,
+        topSpecies: topSpecies,
+        seasonAnimalsSaved: state.seasonAnimalsSaved
+      }
+    };
+  }
+
+  // ==== Mission Generator ====
+  // Mission board offers are generated from a seed, so the same seed and
+  // progress always give the same mission.  The board's seed sequence is
+  // saved, and every offer records the seed it was generated from, which
+  // makes any reported mission reproducible with generateMission().
+
+  // Modifiers that can be rolled onto a generated mission.  Each one has a
+  // chance to apply and multiplies the duration, risk, difficulty and reward.
+  const missionModifiers = [
+    { id: 'night', name: 'Night', chance: 0.25, duration: 1.2, risk: 1.0, difficulty: 1.15, reward: 1.2 },
+    { id: 'storm', name: 'Storm', chance: 0.2, duration: 1.0, risk: 1.3, difficulty: 1.2, reward: 1.35 },
+    { id: 'remote', name: 'Remote', chance: 0.2, duration: 1.4, risk: 0.9, difficulty: 1.1, reward: 1.25 }
+  ];
+
+  // Template for species that no mission definition covers
+  const GENERIC_MISSION = { duration: 120, baseRisk: 20, difficulty: 1.0, tags: [] };
+
+  // Advance a 32-bit seed to the next one in its sequence
+  function nextSeed(seed) {
+    return (seed + 0x6D2B79F5) >>> 0;
+  }
+
+  // Seeded random number generator (mulberry32) returning values in [0, 1)
+  function createRandom(seed) {
+    let current = seed >>> 0;
+    return function() {
+      current = nextSeed(current);
+      let t = current;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * How much harder generated missions are for this player.  Risk grows
+   * with lifetime rescues (so late-game missions still take a while),
+   * missions completed this reserve and prestiges; duration grows slowly
+   * with missions completed; rewards follow risk and grow with prestiges.
+   * @returns {{risk: number, duration: number, reward: number}}
+   */
+  function missionScaling(state) {
+    const lifetime = Math.max(0, state.lifetimeAnimalsSaved);
+    return {
+      risk: (1 + Math.pow(lifetime, 0.75) / 50) * (1 + state.missionsCompleted * 0.01) * (1 + state.prestigeCount * 0.25),
+      duration: 1 + Math.min(1, state.missionsCompleted / 100) * 0.5,
+      reward: 1 + state.prestigeCount * 0.1
+    };
+  }
+
+  /**
+   * Generate a mission from a seed.  The species is drawn from the species
+   * list, including biome species, and the mission definition for that
+   * species supplies the name, terrain tags and base values.  Modifiers and
+   * random variation are applied, then the result is scaled to the player's
+   * progress and the species' threat level.
+   * @param {Object} state
+   * @param {number} seed
+   * @param {Object} [template] Mission definition to use instead of drawing a species
+   * @returns {Object} Offer with name, type (the name without modifiers),
+   *   species, biome (id, or null for the starting reserve), tags, modifiers, duration,
+   *   baseRisk, difficulty, reward, threat and seed (id is left to the caller)
+   */
+  function generateMission(state, seed, template) {
+    const random = createRandom(seed);
+    const between = (min, max) => min + random() * (max - min);
+    const species = template
+      ? { name: template.species }
+      : state.speciesList[Math.floor(random() * state.speciesList.length)];
+    template = template || state.missions.find(m => m.species === species.name) ||
+      Object.assign({ name: `${species.name} Rescue`, species: species.name }, GENERIC_MISSION);
+    const modifiers = missionModifiers.filter(modifier => random() < modifier.chance);
+    const scaling = missionScaling(state);
+    // Missions belong to the biome of their species and follow its rules
+    const biome = speciesBiome(species.name);
+    const rules = biome ? biome.terrainRules : NO_TERRAIN_RULES;
+    // Species under threat put more animals at risk, and pay more
+    const threat = state.threatLevels[species.name] || 0;
+    let duration = template.duration * between(0.8, 1.25) * scaling.duration * rules.durationMultiplier;
+    let baseRisk = template.baseRisk * between(0.8, 1.4) * scaling.risk * (1 + threat * THREAT_RISK_PER_LEVEL);
+    let difficulty = template.difficulty * between(0.8, 1.5);
+    let reward = scaling.reward;
+    modifiers.forEach(modifier => {
+      duration *= modifier.duration;
+      baseRisk *= modifier.risk;
+      difficulty *= modifier.difficulty;
+      reward *= modifier.reward;
+    });
+    baseRisk = Math.max(1, Math.round(baseRisk));
+    difficulty = Math.round(difficulty * 100) / 100;
+    // A mission that faces none of its biome's hazards gets one of them
+    const tags = (template.tags || []).slice();
+    if (rules.hazards.length > 0 && !tags.some(tag => rules.hazards.indexOf(tag) !== -1)) {
+      tags.push(rules.hazards[Math.floor(random() * rules.hazards.length)]);
+    }
+    return {
+      name: modifiers.map(modifier => modifier.name).concat(template.name).join(' '),
+      type: template.name,
+      species: species.name,
+      biome: biome ? biome.id : null,
+      tags: tags,
+      modifiers: modifiers.map(modifier => modifier.id),
+      duration: Math.round(duration),
+      baseRisk: baseRisk,
+      difficulty: difficulty,
+      reward: Math.round(baseRisk * difficulty * MISSION_REWARD_PER_ANIMAL * reward),
+      threat: threat,
+      seed: seed
+    };
+  }
+
+  // ==== Missions ====
+
+  // Offers shown on the mission board at once
+  const MISSION_BOARD_SIZE = 4;
+  // Seconds between mission board refreshes
+  const MISSION_BOARD_REFRESH_SECONDS = 180;
+  // Coins promised per animal at risk, scaled by difficulty
+  const MISSION_REWARD_PER_ANIMAL = 5;
+  // Share of the animals at risk a mission must save to succeed, or to
+  // count as a partial success.  Partial successes earn half the reward.
+  const MISSION_SUCCESS_SHARE = 0.75;
+  const MISSION_PARTIAL_SHARE = 0.25;
+  // Consecutive failures on one species that raise its threat level, the
+  // highest threat level and the extra animals at risk per level
+  const THREAT_FAILURE_STREAK = 2;
+  const MAX_THREAT_LEVEL = 5;
+  const THREAT_RISK_PER_LEVEL = 0.25;
+  // Difficulty and reward multiplier of a retried mission
+  const RETRY_DIFFICULTY_MULTIPLIER = 1.25;
+  // Finished missions kept in the mission history
+  const MISSION_HISTORY_LIMIT = 200;
+
+  // A harder replay of a failed mission with a matching reward
+  function createRetryOffer(state, mission) {
+    const difficulty = Math.round(mission.difficulty * RETRY_DIFFICULTY_MULTIPLIER * 100) / 100;
+    const offer = Object.assign({}, mission, {
+      id: state.nextOfferId,
+      difficulty: difficulty,
+      reward: Math.round(mission.reward * difficulty / mission.difficulty),
+      retry: true
+    });
+    state.nextOfferId += 1;
+    return offer;
+  }
+
+  // Classify a finished mission by the share of animals saved.  The rating
+  // is 3 stars when every animal was saved, 2 for a success, 1 for a
+  // partial success and 0 for a failure.
+  function missionOutcome(savedShare) {
+    if (savedShare >= 1 - EPSILON) return { outcome: 'success', rating: 3 };
+    if (savedShare >= MISSION_SUCCESS_SHARE) return { outcome: 'success', rating: 2 };
+    if (savedShare >= MISSION_PARTIAL_SHARE) return { outcome: 'partial', rating: 1 };
+    return { outcome: 'failed', rating: 0 };
+  }
+
+  // Add a finished mission to the history, dropping the oldest entries
+  function recordMission(state, entry) {
+    state.missionHistory.push(entry);
+    if (state.missionHistory.length > MISSION_HISTORY_LIMIT) {
+      state.missionHistory.splice(0, state.missionHistory.length - MISSION_HISTORY_LIMIT);
+    }
+  }
+
+  /**
+   * Aggregate the mission history per mission type.
+   * @param {Object[]} history Entries from state.missionHistory
+   * @returns {Array<{type: string, runs: number, bestTime: number|null,
+   *   averageSaved: number, successRate: number}>} Sorted by most runs.
+   *   bestTime is the fastest success in seconds, or null without one.
+   */
+  function missionStatistics(history) {
+    const byType = {};
+    history.forEach(entry => {
+      const stats = byType[entry.type] || (byType[entry.type] = { type: entry.type, runs: 0, successes: 0, totalSaved: 0, bestTime: null });
+      stats.runs += 1;
+      stats.totalSaved += entry.saved;
+      if (entry.outcome === 'success') {
+        stats.successes += 1;
+        if (stats.bestTime === null || entry.durationUsed < stats.bestTime) stats.bestTime = entry.durationUsed;
+      }
+    });
+    return Object.keys(byType).map(type => {
+      const stats = byType[type];
+      return {
+        type: type,
+        runs: stats.runs,
+        bestTime: stats.bestTime,
+        averageSaved: stats.totalSaved / stats.runs,
+        successRate: stats.successes / stats.runs
+      };
+    }).sort((a, b) => b.runs - a.runs);
+  }
+
+  // Update a species' failure streak and threat level after a mission
+  function updateThreat(state, species, outcome) {
+    const threat = state.threatLevels[species] || 0;
+    if (outcome === 'failed') {
+      const streak = (state.failureStreaks[species] || 0) + 1;
+      if (streak >= THREAT_FAILURE_STREAK) {
+        state.threatLevels[species] = Math.min(MAX_THREAT_LEVEL, threat + 1);
+        state.failureStreaks[species] = 0;
+      } else {
+        state.failureStreaks[species] = streak;
+      }
+    } else if (outcome === 'success') {
+      state.failureStreaks[species] = 0;
+      if (threat > 0) state.threatLevels[species] = threat - 1;
+    }
+  }
+
+  // Replace every offer on the board with newly generated ones.  Each offer
+  // takes the next seed in the sequence; a seed whose species is already
+  // on the board is skipped while other species remain.
+  function refillMissionBoard(state) {
+    state.missionBoard = [];
+    const speciesCount = new Set(state.speciesList.map(sp => sp.name)).size;
+    const size = MISSION_BOARD_SIZE + permitEffect(state, 'boardSlots');
+    for (let i = 0; i < size; i++) {
+      let offer;
+      do {
+        state.missionSeed = nextSeed(state.missionSeed);
+        offer = generateMission(state, state.missionSeed);
+      } while (state.missionBoard.length < speciesCount && state.missionBoard.some(other => other.species === offer.species));
+      offer.id = state.nextOfferId;
+      state.nextOfferId += 1;
+      state.missionBoard.push(offer);
+    }
+    updateCrisisOffers(state);
+    state.boardRefreshAt = state.now + MISSION_BOARD_REFRESH_SECONDS * 1000;
+  }
+
+  // Refill the mission board once its refresh time has passed, and drop
+  // crisis offers once their event is over
+  function refreshMissionBoard(state) {
+    if (state.now >= state.boardRefreshAt) {
+      refillMissionBoard(state);
+    } else if (state.missionBoard.some(offer => offer.crisis && offer.expiresAt <= state.now)) {
+      updateCrisisOffers(state);
+    }
+  }
+
+  // Start the given offer as the current mission, with no units dispatched
+  function beginMission(state, mission) {
+    state.currentMission = Object.assign({}, mission, { startedAt: state.now, deployed: state.unitDefinitions.map(() => 0) });
+    // Apply time reduction (percentage) from upgrades, species, permits and events to mission duration
+    let totalReduction = state.globalTimeReduction + state.speciesTimeReduction + state.permitTimeReduction + state.eventTimeReduction + state.achievementTimeReduction +
+      taggedBonus(state, 'time', mission.tags);
+    // Cap total reduction at 90% to avoid negative durations
+    if (totalReduction > 0.9) totalReduction = 0.9;
+    state.missionTimeLeft = mission.duration * (1 - totalReduction);
+    state.totalAnimalsForMission = Math.round(mission.baseRisk * mission.difficulty);
+    state.animalsAtRisk = state.totalAnimalsForMission;
+  }
+
+  /**
+   * Finish the current mission.  The share of animals saved decides the
+   * outcome: a success earns the offer's coin reward, a partial success half
+   * of it and a failure nothing.  Animals still at risk are lost, failures
+   * raise the species' threat level and a failed mission can be retried at
+   * a higher difficulty.  The player picks the next mission from the board.
+   * @returns {Object} A missionFinished event with mission, saved, lost,
+   *   outcome, rating and reward
+   */
+  function finishMission(state) {
+    // Dispatched units return with the end of the mission
+    const mission = state.currentMission;
+    const startedAt = mission.startedAt;
+    delete mission.deployed;
+    delete mission.startedAt;
+    state.currentMission = null;
+    // Apply animal bonus (from upgrades and species) when calculating saved animals
+    const baseSaved = state.totalAnimalsForMission - state.animalsAtRisk;
+    const lost = Math.max(0, Math.ceil(state.animalsAtRisk - EPSILON));
+    const result = missionOutcome(state.totalAnimalsForMission > 0 ? baseSaved / state.totalAnimalsForMission : 0);
+    const reward = result.outcome === 'success' ? mission.reward
+      : result.outcome === 'partial' ? Math.floor(mission.reward / 2) : 0;
+    let savedNow = 0;
+    const bonusMultiplier = 1 + state.globalAnimalBonus + state.speciesAnimalBonus + state.permitAnimalBonus + state.eventAnimalBonus + state.achievementAnimalBonus +
+      taggedBonus(state, 'animals', mission.tags);
+    if (baseSaved > 0) {
+      savedNow = Math.floor(baseSaved * bonusMultiplier);
+      state.coins += savedNow + reward;
+      state.animalsSaved += savedNow;
+      // Increment lifetime animals saved for prestige calculations
+      state.lifetimeAnimalsSaved += savedNow;
+      // Missions contribute their saved animals toward the season tally
+      addSeasonAnimals(state, savedNow);
+      // Mark species as saved if present in speciesList
+      state.speciesList.forEach(sp => {
+        if (sp.name === mission.species) {
+          sp.saved = true;
+        }
+      });
+      // Track rescued animals in reserve and toward the species' mastery
+      state.reserveCounts[mission.species] = (state.reserveCounts[mission.species] || 0) + savedNow;
+      state.speciesRescued[mission.species] = (state.speciesRescued[mission.species] || 0) + savedNow;
+      recordSpeciesHistory(state, mission.species);
+      updateSpeciesBonuses(state);
+    }
+    if (lost > 0) {
+      state.lostAnimals[mission.species] = (state.lostAnimals[mission.species] || 0) + lost;
+    }
+    // Every finished mission counts, failures included; missionOutcomes
+    // tells them apart
+    state.missionsCompleted += 1;
+    state.missionOutcomes[result.outcome] += 1;
+    if (result.rating === 3) state.missionOutcomes.perfect += 1;
+    updateThreat(state, mission.species, result.outcome);
+    state.lastOutcome = {
+      name: mission.name,
+      species: mission.species,
+      outcome: result.outcome,
+      rating: result.rating,
+      saved: savedNow,
+      lost: lost,
+      reward: reward
+    };
+    state.retryOffer = result.outcome === 'failed' ? createRetryOffer(state, mission) : null;
+    recordMission(state, {
+      name: mission.name,
+      type: mission.type || mission.name,
+      species: mission.species,
+      outcome: result.outcome,
+      rating: result.rating,
+      startedAt: startedAt,
+      endedAt: state.now,
+      durationUsed: Math.max(0, (state.now - startedAt) / 1000),
+      rescued: Math.max(0, Math.floor(baseSaved + EPSILON)),
+      atRisk: state.totalAnimalsForMission,
+      bonusMultiplier: bonusMultiplier,
+      saved: savedNow,
+      coins: baseSaved > 0 ? savedNow + reward : 0
+    });
+    return {
+      type: 'missionFinished',
+      mission: mission,
+      saved: savedNow,
+      lost: lost,
+      outcome: result.outcome,
+      rating: result.rating,
+      reward: reward
+    };
+  }
+
+  // Add animals to the current season and track a new best season
+  function addSeasonAnimals(state, amount) {
+    state.seasonAnimalsSaved += amount;
+    if (state.seasonAnimalsSaved > state.bestSeasonTotal) {
+      state.bestSeasonTotal = state.seasonAnimalsSaved;
+    }
+  }
+
+  // ==== World Events ====
+
+  // Start a new world event randomly selected from eventsList
+  function startNewEvent(state) {
+    const available = eventsList.filter(ev => biomeUnlocked(state, ev.biome));
+    const evDef = available[Math.floor(Math.random() * available.length)];
+    state.activeEvent = {
+      id: evDef.id,
+      name: evDef.name,
+      rateBonus: evDef.rateBonus,
+      animalBonus: evDef.animalBonus,
+      timeReduction: evDef.timeReduction,
+      endTime: state.now + evDef.duration * 1000,
+      goal: createEventGoal(state)
+    };
+    updateEventBonuses(state);
+    updateCrisisOffers(state);
+    return { type: 'eventStarted', event: state.activeEvent };
+  }
+
+  // Event-wide goal: save animals on the event's missions before it ends.
+  // The target follows the player's progress like generated missions do.
+  function createEventGoal(state) {
+    const target = Math.round(GENERIC_MISSION.baseRisk * missionScaling(state).risk * EVENT_GOAL_MISSIONS);
+    return { target: target, progress: 0, reward: target * EVENT_GOAL_REWARD_PER_ANIMAL, completed: false };
+  }
+
+  // Whether a finished mission counts toward the active event's goal:
+  // crisis missions of the event, and missions with the crisis tag
+  function countsForEvent(event, mission) {
+    const def = eventsList.find(e => e.id === event.id);
+    if (mission.crisis) return mission.eventId === event.id;
+    return !!(def && def.crisis.tag && (mission.tags || []).indexOf(def.crisis.tag) !== -1);
+  }
+
+  // Add a finished mission's saved animals to the event goal and pay the
+  // reward once the goal is met
+  function creditEventGoal(state, finished, events) {
+    const event = state.activeEvent;
+    if (!event || !event.goal || event.goal.completed || finished.saved <= 0) return;
+    if (state.now >= event.endTime || !countsForEvent(event, finished.mission)) return;
+    event.goal.progress += finished.saved;
+    if (event.goal.progress >= event.goal.target) {
+      event.goal.completed = true;
+      state.coins += event.goal.reward;
+      events.push({ type: 'eventGoalReached', event: event, reward: event.goal.reward });
+    }
+  }
+
+  // Generate a crisis mission for the active event from a seed.  Crisis
+  // missions are regular generated missions of the crisis tag, made larger
+  // and more rewarding, and can only be started while the event lasts.
+  // Returns null for an event this build does not define.
+  function generateCrisisMission(state, seed) {
+    const event = state.activeEvent;
+    const def = eventsList.find(e => e.id === event.id);
+    if (!def) return null;
+    const crisis = def.crisis;
+    const random = createRandom(seed);
+    const matching = state.missions.filter(m => crisis.tag && (m.tags || []).indexOf(crisis.tag) !== -1);
+    const pool = matching.length > 0 ? matching : state.missions;
+    const template = pool[Math.floor(random() * pool.length)];
+    const mission = generateMission(state, seed, template);
+    missionModifiers.forEach(modifier => {
+      if (crisis.modifiers.indexOf(modifier.id) !== -1 && mission.modifiers.indexOf(modifier.id) === -1) {
+        mission.modifiers.push(modifier.id);
+        mission.duration = Math.round(mission.duration * modifier.duration);
+        mission.baseRisk = Math.max(1, Math.round(mission.baseRisk * modifier.risk));
+        mission.difficulty = Math.round(mission.difficulty * modifier.difficulty * 100) / 100;
+        mission.reward = Math.round(mission.reward * modifier.reward);
+      }
+    });
+    mission.baseRisk = Math.round(mission.baseRisk * CRISIS_RISK_MULTIPLIER);
+    mission.reward = Math.round(mission.reward * CRISIS_RISK_MULTIPLIER * CRISIS_REWARD_MULTIPLIER);
+    mission.name = `${crisis.name}: ${mission.name}`;
+    mission.crisis = true;
+    mission.eventId = event.id;
+    mission.expiresAt = event.endTime;
+    return mission;
+  }
+
+  // Drop crisis offers of events that are over and offer one for the
+  // active event if the board has none
+  function updateCrisisOffers(state) {
+    const event = state.activeEvent;
+    state.missionBoard = state.missionBoard.filter(offer => !offer.crisis || (event && offer.eventId === event.id && offer.expiresAt > state.now));
+    if (!event || state.now >= event.endTime || state.missionBoard.some(offer => offer.crisis)) return;
+    if (!eventsList.some(e => e.id === event.id)) return;
+    state.missionSeed = nextSeed(state.missionSeed);
+    const offer = generateCrisisMission(state, state.missionSeed);
+    offer.id = state.nextOfferId;
+    state.nextOfferId += 1;
+    state.missionBoard.unshift(offer);
+  }
+
+  // Start a new event if none is active or the current one has expired
+  function refreshEvent(state, events) {
+    const current = state.activeEvent;
+    if (!current || !current.endTime || current.endTime <= state.now) {
+      if (current && current.endTime) {
+        events.push({ type: 'eventEnded', event: current, at: current.endTime });
+      }
+      const started = startNewEvent(state);
+      started.at = state.now;
+      events.push(started);
+    }
+  }
+
+  // Mark onboarding tasks whose requirements are met
+  function updateTasks(state) {
+    tasks.forEach(task => {
+      if (!state.tasksCompleted[task.id] && task.check(state)) {
+        state.tasksCompleted[task.id] = true;
+      }
+    });
+  }
+
+  // ==== Species Guide ====
+
+  // Points kept per species in speciesHistory
+  const SPECIES_HISTORY_LIMIT = 50;
+
+  // Note the rescued total of a species after a mission, and the first rescue
+  function recordSpeciesHistory(state, name) {
+    if (!state.firstRescuedAt[name]) state.firstRescuedAt[name] = state.now;
+    const history = state.speciesHistory[name] || (state.speciesHistory[name] = []);
+    history.push({ at: state.now, rescued: state.speciesRescued[name] });
+    if (history.length > SPECIES_HISTORY_LIMIT) history.shift();
+  }
+
+  // A species' bonus now and what it adds to the game's totals.  Rate
+  // bonuses also report the animals per second they add to the rescue rate.
+  function speciesContribution(state, sp) {
+    const value = speciesEffectValue(state, sp);
+    const active = !!sp.saved;
+    let total;
+    if (sp.tag) {
+      total = state.taggedBonuses[sp.effectType][sp.tag] || 0;
+    } else {
+      total = sp.effectType === 'rate' ? state.speciesRateBonus
+        : sp.effectType === 'time' ? state.speciesTimeReduction : state.speciesAnimalBonus;
+    }
+    let rate = 0;
+    if (active && sp.effectType === 'rate') {
+      // Unit output grows linearly with the bonus, so the share of the bonus
+      // in its sum is the share of the extra output it is responsible for
+      state.unitsOwned.forEach((count, index) => {
+        const unit = state.unitDefinitions[index];
+        if (sp.tag && (unit.tags || []).indexOf(sp.tag) === -1) return;
+        const output = unitRate(state, index) / 60 * rateMultiplier(state);
+        const sum = sp.tag ? 1 + taggedBonus(state, 'rate', unit.tags) : rateMultiplier(state);
+        rate += output * value / sum;
+      });
+    }
+    return {
+      effectType: sp.effectType,
+      tag: sp.tag || null,
+      value: value,
+      active: active,
+      share: active && total > 0 ? Math.min(1, value / total) : 0,
+      rate: rate
+    };
+  }
+
+  /**
+   * Everything the field guide shows about one species, drawn from the
+   * species and biome definitions so biome species are covered too.
+   * @param {Object} state
+   * @param {string} name Species name
+   * @returns {Object|null} { name, description, status, biome (name or null
+   *   for the starting reserve), missions (mission names that rescue it),
+   *   rescued, firstRescuedAt, history, tier, bonus (see
+   *   speciesContribution) }, or null for an unknown species
+   */
+  function speciesGuide(state, name) {
+    const sp = state.speciesList.find(entry => entry.name === name);
+    if (!sp) return null;
+    const biome = speciesBiome(name);
+    const def = biome ? biome.species.find(spec => spec.name === name)
+      : speciesDefinitions.find(spec => spec.name === name) || {};
+    const missions = state.missions.filter(m => m.species === name);
+    const names = missions.length > 0 ? missions.map(m => m.name) : [`${name} Rescue`];
+    // Crisis missions are drawn from missions with the crisis tag, or from
+    // every mission when the crisis has none
+    eventsList.forEach(event => {
+      const crisis = event.crisis;
+      if (!crisis.tag || missions.some(m => (m.tags || []).indexOf(crisis.tag) !== -1)) {
+        names.push(crisis.name);
+      }
+    });
+    const rescued = state.speciesRescued[name] || 0;
+    return {
+      name: name,
+      description: def.description || '',
+      status: def.status || 'Not evaluated',
+      biome: biome ? biome.name : null,
+      missions: names,
+      rescued: rescued,
+      firstRescuedAt: state.firstRescuedAt[name] || null,
+      history: state.speciesHistory[name] || [],
+      tier: masteryTier(rescued),
+      bonus: speciesContribution(state, sp)
+    };
+  }
+
+  // ==== Sanctuary Population ====
+  // Rescued species breed in the Sanctuary.  Growth is logistic: each
+  // species grows in proportion to its count and slows as it fills its
+  // habitat, stopping at the capacity.  Missions can still bring a species
+  // above its capacity; an overcrowded species does not breed.
+
+  // Growth per hour of a species far below its habitat capacity
+  const BREEDING_RATE_PER_HOUR = 0.10;
+  // Animals a species needs before it breeds
+  const MIN_BREEDING_POPULATION = 2;
+  // Habitat capacity per species for species outside any biome
+  const HABITAT_CAPACITY = 500;
+
+  // Animals of a species the Sanctuary can hold: the capacity of the biome
+  // it belongs to, or HABITAT_CAPACITY for the starting species
+  function habitatCapacity(name) {
+    const biome = speciesBiome(name);
+    return biome && biome.habitatCapacity ? biome.habitatCapacity : HABITAT_CAPACITY;
+  }
+
+  // Current growth of a species in animals per hour; 0 below the breeding
+  // population and at or above capacity
+  function populationGrowthRate(state, name) {
+    const count = state.reserveCounts[name] || 0;
+    const capacity = habitatCapacity(name);
+    if (count < MIN_BREEDING_POPULATION || count >= capacity) return 0;
+    return BREEDING_RATE_PER_HOUR * count * (1 - count / capacity);
+  }
+
+  // Grow every species for the given number of seconds.  Uses the exact
+  // logistic curve so the result does not depend on the step size.
+  function growPopulations(state, seconds) {
+    const rate = BREEDING_RATE_PER_HOUR * seconds / 3600;
+    Object.keys(state.reserveCounts).forEach(name => {
+      const count = state.reserveCounts[name];
+      const capacity = habitatCapacity(name);
+      if (count < MIN_BREEDING_POPULATION || count >= capacity) return;
+      state.reserveCounts[name] = capacity / (1 + (capacity - count) / count * Math.exp(-rate));
+    });
+  }
+
+  // ==== Time ====
+
+  // Longest slice of time simulated in one step while playing, in seconds
+  const MAX_STEP_SECONDS = 1;
+  // Longest slice of time simulated in one step for offline progress
+  const OFFLINE_STEP_SECONDS = 30;
+  // Remaining mission time or animals below this count as zero, so that
+  // rounding never leaves a mission waiting on a sliver of a second
+  const EPSILON = 1e-9;
+
+  /**
+   * Simulate the given number of seconds.  Slices are at most maxStep long
+   * and are cut short where the active mission finishes, the world event
+   * ends or the mission board refreshes, so a larger step gives the same
+   * mission results and event timestamps as a smaller one.
+   * @returns {number} Animals rescued by units (not missions) in that time
+   */
+  function simulate(state, seconds, maxStep, events) {
+    fitUpgrades(state);
+    refreshEvent(state, events);
+    refreshMissionBoard(state);
+    let remaining = Math.max(0, seconds || 0);
+    let passive = 0;
+    while (remaining > EPSILON) {
+      const rate = computeRescueRate(state);
+      // Dispatched units work only on the mission, alongside the others
+      const missionRate = rate + computeMissionRate(state);
+      let dt = Math.min(remaining, maxStep, Math.max(0, (state.boardRefreshAt - state.now) / 1000));
+      if (state.currentMission) {
+        dt = Math.min(dt, Math.max(0, state.missionTimeLeft));
+        if (missionRate > 0) dt = Math.min(dt, state.animalsAtRisk / missionRate);
+      }
+      if (state.activeEvent) dt = Math.min(dt, Math.max(0, (state.activeEvent.endTime - state.now) / 1000));
+      remaining -= dt;
+      state.now += dt * 1000;
+      const rescued = rate * dt;
+      passive += rescued;
+      state.animalsSaved += rescued;
+      state.coins += rescued; // 1 coin per animal saved
+      // Track lifetime animals saved for prestige calculations
+      state.lifetimeAnimalsSaved += rescued;
+      growPopulations(state, dt);
+      // Mission logic
+      if (state.currentMission) {
+        state.animalsAtRisk = Math.max(0, state.animalsAtRisk - missionRate * dt);
+        state.missionTimeLeft -= dt;
+        if (state.missionTimeLeft <= EPSILON || state.animalsAtRisk <= EPSILON) {
+          const finished = finishMission(state);
+          events.push(finished);
+          creditEventGoal(state, finished, events);
+        }
+      }
+      refreshEvent(state, events);
+      refreshMissionBoard(state);
+    }
+    updateTasks(state);
+    return passive;
+  }
+
+  /**
+   * Move the game forward by the given number of seconds.  Units rescue
+   * animals and earn coins, the active mission drains and finishes, and
+   * world events expire and rotate against the state clock.
+   * @param {Object} state
+   * @param {number} seconds
+   * @returns {Object[]} Events that happened, such as missionFinished and eventStarted
+   */
+  function advance(state, seconds) {
+    const events = [];
+    simulate(state, seconds, MAX_STEP_SECONDS, events);
+    runAutoBuyers(state, seconds);
+    return events;
+  }
+
+  // Longest absence credited with offline earnings by default, in seconds
+  const OFFLINE_CAP_SECONDS = 4 * 3600;
+
+  // Longest absence credited with offline earnings for this game, in
+  // seconds: the default plus the Night Shift permit hours
+  function offlineCapSeconds(state) {
+    return OFFLINE_CAP_SECONDS + permitEffect(state, 'offlineHours') * 3600;
+  }
+
+  // Progress of the active mission as a fraction between 0 and 1
+  function missionProgress(state) {
+    if (!state.currentMission) return 0;
+    const total = state.totalAnimalsForMission;
+    return total > 0 ? Math.max(0, Math.min(1, (total - state.animalsAtRisk) / total)) : 0;
+  }
+
+  // Move the clock to the given time without crediting any progress.  World
+  // events still end and restart at the times they would have, and the
+  // mission board shows fresh offers.
+  function skipTime(state, until, events) {
+    while (state.activeEvent && state.activeEvent.endTime <= until) {
+      state.now = Math.max(state.now, state.activeEvent.endTime);
+      refreshEvent(state, events);
+    }
+    state.now = Math.max(state.now, until);
+    refreshMissionBoard(state);
+  }
+
+  /**
+   * Play out the time the player was away and describe what happened.  The
+   * first offlineCapSeconds() of the absence run the same mission cycle as
+   * advance(), in larger steps; the rest only rotates world events.  Animals
+   * and species are credited right away; the coins are held in
+   * unclaimedOfflineCoins until claimOfflineEarnings() moves them into the
+   * balance.
+   * @param {Object} state A restored state whose clock is the current time
+   * @param {number} elapsedSeconds Time since the game was last saved
+   * @returns {Object} Report with awaySeconds, creditedSeconds, cappedSeconds,
+   *   coins, animals, species (animals rescued per species), births
+   *   (Sanctuary growth per species), events
+   *   (eventEnded/eventStarted with their times) and mission (name,
+   *   progressBefore, currentName, progressAfter, timeLeft, completed).  The
+   *   mission names are null when no mission was running.
+   */
+  function collectOfflineEarnings(state, elapsedSeconds) {
+    const awaySeconds = Math.max(0, elapsedSeconds);
+    const creditedSeconds = Math.min(awaySeconds, offlineCapSeconds(state));
+    const returnedAt = state.now;
+    // Rewind the clock to when the game was last saved and play forward
+    state.now = returnedAt - awaySeconds * 1000;
+    const missionBefore = state.currentMission;
+    const progressBefore = missionProgress(state);
+    const coinsBefore = state.coins;
+    const animalsBefore = state.animalsSaved;
+    const countsBefore = Object.assign({}, state.reserveCounts);
+    const events = [];
+    const passive = simulate(state, creditedSeconds, OFFLINE_STEP_SECONDS, events);
+    skipTime(state, returnedAt, events);
+    // Offline rescues by units also contribute to the current season;
+    // finished missions have already added theirs
+    addSeasonAnimals(state, passive);
+    const earnings = state.coins - coinsBefore;
+    state.coins = coinsBefore;
+    state.unclaimedOfflineCoins += earnings;
+    const species = {};
+    let completed = 0;
+    events.forEach(ev => {
+      if (ev.type === 'missionFinished') {
+        completed += 1;
+        if (ev.saved > 0) {
+          species[ev.mission.species] = (species[ev.mission.species] || 0) + ev.saved;
+        }
+      }
+    });
+    // Births are the growth in each species not explained by rescues
+    const births = {};
+    Object.keys(state.reserveCounts).forEach(name => {
+      const born = state.reserveCounts[name] - (countsBefore[name] || 0) - (species[name] || 0);
+      if (born > EPSILON) births[name] = born;
+    });
+    const current = state.currentMission;
+    return {
+      awaySeconds: awaySeconds,
+      creditedSeconds: creditedSeconds,
+      cappedSeconds: awaySeconds - creditedSeconds,
+      coins: earnings,
+      animals: state.animalsSaved - animalsBefore,
+      species: species,
+      births: births,
+      events: events
+        .filter(ev => ev.type === 'eventEnded' || ev.type === 'eventStarted')
+        .map(ev => ({ type: ev.type, name: ev.event.name, at: ev.at })),
+      mission: {
+        name: missionBefore ? missionBefore.name : null,
+        progressBefore: progressBefore,
+        currentName: current ? current.name : null,
+        progressAfter: missionProgress(state),
+        timeLeft: state.missionTimeLeft,
+        completed: completed
+      }
+    };
+  }
+
+  // ==== Biomes ====
+
+  /**
+   * Add a biome's species, units and missions to the state.  Used when the
+   * biome is unlocked and when an unlocked biome is restored from a save.
+   * Anything already present is skipped, so applying twice is harmless.
+   */
+  function applyBiome(state, biome) {
+    biome.species.forEach(spec => {
+      if (!state.speciesList.some(sp => sp.name === spec.name)) {
+        state.speciesList.push(Object.assign({ saved: false }, spec));
+      }
+    });
+    biome.units.forEach(unit => {
+      if (!state.unitDefinitions.some(u => u.name === unit.name)) {
+        state.unitDefinitions.push({ name: unit.name, baseCost: unit.baseCost, baseRate: unit.baseRate, costMultiplier: unit.costMultiplier, tags: unit.tags || [], terrain: unit.terrain || {} });
+        state.unitsOwned.push(0);
+        state.nextCosts.push(unit.baseCost);
+      }
+    });
+    // Species without a mission of their own get generic generated missions
+    biome.missions.forEach(mission => {
+      if (!state.missions.some(m => m.name === mission.name)) {
+        state.missions.push(Object.assign({}, mission, { tags: mission.tags || [] }));
+      }
+    });
+  }
+
+  // The biome a species belongs to, or undefined for the starting species
+  function speciesBiome(name) {
+    return biomeDefinitions.find(b => b.species.some(spec => spec.name === name));
+  }
+
+  // Whether a biome's upgrades, events and achievements are in play
+  function biomeUnlocked(state, id) {
+    return !id || !!state.biomesUnlocked[id];
+  }
+
+  // ==== Biome Packs ====
+  // Biomes are defined by JSON packs bundled with the app (biomes/*.json,
+  // listed in biomes/index.json).  Each pack is checked against
+  // BIOME_PACK_SCHEMA before it is registered, so a designer gets a list of
+  // everything wrong with a pack instead of a broken game.
+  //
+  // A schema is a type name ('string', 'number', 'boolean'), or an object
+  // with a type of 'object' (fields), 'list' (items), 'map' (values keyed by
+  // any name) or 'enum' (values).  A trailing '?' on a type name, or
+  // optional: true, allows the value to be missing.
+
+  const BONUS_EFFECT_TYPES = ['rate', 'time', 'animals'];
+  // Terrain rules of a biome, and of the starting reserve: multipliers by
+  // unit tag for units on the biome's missions, the hazards its missions
+  // face (as mission tags) and a mission duration scale
+  const NO_TERRAIN_RULES = { units: {}, hazards: [], durationMultiplier: 1 };
+  const REWARD_TYPES = ['coins', 'rate', 'animals', 'time', 'permit'];
+  const TERRAIN_SCHEMA = { type: 'map', values: 'number', optional: true };
+
+  const BIOME_PACK_SCHEMA = {
+    type: 'object',
+    fields: {
+      id: 'string',
+      name: 'string',
+      cost: 'number',
+      habitatCapacity: 'number?',
+      terrainRules: { type: 'object', optional: true, fields: {
+        units: { type: 'map', values: 'number' },
+        hazards: { type: 'list', items: 'string' },
+        durationMultiplier: 'number'
+      } },
+      species: { type: 'list', items: { type: 'object', fields: {
+        name: 'string',
+        bonus: 'string',
+        effectType: { type: 'enum', values: BONUS_EFFECT_TYPES },
+        effectValue: 'number',
+        tag: 'string?',
+        description: 'string?',
+        status: 'string?'
+      } } },
+      speciesColors: { type: 'map', values: 'string' },
+      speciesCenters: { type: 'map', values: { type: 'list', items: { type: 'object', fields: { x: 'number', y: 'number' } } }, optional: true },
+      units: { type: 'list', items: { type: 'object', fields: {
+        name: 'string',
+        baseCost: 'number',
+        baseRate: 'number',
+        costMultiplier: 'number',
+        tags: { type: 'list', items: 'string', optional: true },
+        terrain: TERRAIN_SCHEMA
+      } } },
+      upgrades: { type: 'list', optional: true, items: { type: 'object', fields: {
+        name: 'string',
+        effectType: { type: 'enum', values: BONUS_EFFECT_TYPES },
+        effectValue: 'number',
+        baseCost: 'number',
+        costMultiplier: 'number',
+        tag: 'string?'
+      } } },
+      missions: { type: 'list', items: { type: 'object', fields: {
+        name: 'string',
+        duration: 'number',
+        baseRisk: 'number',
+        difficulty: 'number',
+        species: 'string',
+        tags: { type: 'list', items: 'string', optional: true }
+      } } },
+      events: { type: 'list', optional: true, items: { type: 'object', fields: {
+        id: 'string',
+        name: 'string',
+        duration: 'number',
+        rateBonus: 'number',
+        animalBonus: 'number',
+        timeReduction: 'number',
+        crisis: { type: 'object', fields: {
+          name: 'string',
+          tag: 'string?',
+          modifiers: { type: 'list', items: { type: 'enum', values: missionModifiers.map(m => m.id) } }
+        } }
+      } } },
+      achievements: { type: 'list', optional: true, items: { type: 'object', fields: {
+        id: 'string',
+        description: 'string',
+        requirement: { type: 'object', fields: {
+          type: { type: 'enum', values: ['speciesRescued', 'unitsOwned', 'lifetimeSaved'] },
+          species: 'string?',
+          unit: 'string?',
+          count: 'number'
+        } },
+        rewardType: { type: 'enum', values: REWARD_TYPES },
+        rewardValue: 'number'
+      } } }
+    }
+  };
+
+  // Describe a value's type for error messages
+  function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'a list' : typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+  }
+
+  // Check a value against a schema, adding one message per problem
+  function checkSchema(value, schema, path, errors) {
+    const spec = typeof schema === 'string'
+      ? { type: schema.replace('?', ''), optional: schema.endsWith('?') }
+      : schema;
+    if (value === undefined || value === null) {
+      if (!spec.optional) errors.push(`${path} is missing`);
+      return;
+    }
+    if (spec.type === 'enum') {
+      if (spec.values.indexOf(value) === -1) {
+        errors.push(`${path} must be one of ${spec.values.map(v => `"${v}"`).join(', ')} (got ${JSON.stringify(value)})`);
+      }
+    } else if (spec.type === 'list') {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list (got ${describeType(value)})`);
+        return;
+      }
+      value.forEach((item, i) => checkSchema(item, spec.items, `${path}[${i}]`, errors));
+    } else if (spec.type === 'object' || spec.type === 'map') {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object (got ${describeType(value)})`);
+        return;
+      }
+      if (spec.type === 'map') {
+        Object.keys(value).forEach(key => checkSchema(value[key], spec.values, `${path}.${key}`, errors));
+        return;
+      }
+      Object.keys(spec.fields).forEach(key => checkSchema(value[key], spec.fields[key], path ? `${path}.${key}` : key, errors));
+      Object.keys(value).forEach(key => {
+        if (!spec.fields[key]) errors.push(`${path ? `${path}.${key}` : key} is not a known field`);
+      });
+    } else if (typeof value !== spec.type || (spec.type === 'number' && !isFinite(value))) {
+      errors.push(`${path} must be a ${spec.type} (got ${describeType(value)})`);
+    }
+  }
+
+  /**
+   * Check a biome pack against BIOME_PACK_SCHEMA and against the biomes,
+   * species, units, upgrades, events and achievements already registered.
+   * @param {Object} pack Parsed biome pack
+   * @returns {string[]} Problems found, each naming the field at fault;
+   *   empty when the pack is valid
+   */
+  function validateBiomePack(pack) {
+    const errors = [];
+    checkSchema(pack, BIOME_PACK_SCHEMA, '', errors);
+    if (errors.length > 0) return errors;
+    const taken = (list, key, value) => list.some(entry => entry[key] === value);
+    if (taken(biomeDefinitions, 'id', pack.id)) errors.push(`id "${pack.id}" is already used by another biome`);
+    const packSpecies = pack.species.map(sp => sp.name);
+    pack.species.forEach((sp, i) => {
+      if (taken(speciesDefinitions, 'name', sp.name) || biomeDefinitions.some(b => taken(b.species, 'name', sp.name)) ||
+          packSpecies.indexOf(sp.name) !== i) {
+        errors.push(`species[${i}].name "${sp.name}" is already used by another species`);
+      }
+      if (!pack.speciesColors[sp.name]) errors.push(`speciesColors has no color for "${sp.name}"`);
+    });
+    pack.units.forEach((unit, i) => {
+      if (taken(unitDefinitions, 'name', unit.name) || biomeDefinitions.some(b => taken(b.units, 'name', unit.name))) {
+        errors.push(`units[${i}].name "${unit.name}" is already used by another unit`);
+      }
+    });
+    (pack.upgrades || []).forEach((upg, i) => {
+      if (taken(upgradeDefinitions, 'name', upg.name)) errors.push(`upgrades[${i}].name "${upg.name}" is already used by another upgrade`);
+    });
+    pack.missions.forEach((mission, i) => {
+      if (packSpecies.indexOf(mission.species) === -1) {
+        errors.push(`missions[${i}].species "${mission.species}" is not one of the pack's species`);
+      }
+    });
+    (pack.events || []).forEach((ev, i) => {
+      if (taken(eventsList, 'id', ev.id)) errors.push(`events[${i}].id "${ev.id}" is already used by another event`);
+    });
+    (pack.achievements || []).forEach((ach, i) => {
+      const req = ach.requirement;
+      if (taken(achievements, 'id', ach.id)) errors.push(`achievements[${i}].id "${ach.id}" is already used by another achievement`);
+      if (req.type === 'speciesRescued' && packSpecies.indexOf(req.species) === -1) {
+        errors.push(`achievements[${i}].requirement.species must name one of the pack's species`);
+      } else if (req.type === 'unitsOwned' && !taken(pack.units, 'name', req.unit)) {
+        errors.push(`achievements[${i}].requirement.unit must name one of the pack's units`);
+      }
+    });
+    return errors;
+  }
+
+  // Build the check function of a pack achievement from its requirement
+  function requirementCheck(requirement) {
+    if (requirement.type === 'speciesRescued') {
+      return state => (state.speciesRescued[requirement.species] || 0) >= requirement.count;
+    } else if (requirement.type === 'unitsOwned') {
+      return state => {
+        const index = state.unitDefinitions.findIndex(unit => unit.name === requirement.unit);
+        return index !== -1 && state.unitsOwned[index] >= requirement.count;
+      };
+    }
+    return state => state.lifetimeAnimalsSaved >= requirement.count;
+  }
+
+  /**
+   * Register a biome pack: its biome becomes unlockable, and its upgrades,
+   * events and achievements join the game, in play once the biome is
+   * unlocked.  States created before the pack registered make room for its
+   * upgrades when they are next used.
+   * @param {Object} pack Parsed biome pack
+   * @returns {string[]} Problems that kept the pack from being registered
+   *   (see validateBiomePack); empty when it was registered
+   */
+  function registerBiomePack(pack) {
+    const errors = validateBiomePack(pack);
+    if (errors.length > 0) return errors;
+    biomeDefinitions.push({
+      id: pack.id,
+      name: pack.name,
+      cost: pack.cost,
+      habitatCapacity: pack.habitatCapacity,
+      terrainRules: pack.terrainRules || NO_TERRAIN_RULES,
+      species: pack.species,
+      speciesColors: pack.speciesColors,
+      speciesCenters: pack.speciesCenters || {},
+      units: pack.units,
+      missions: pack.missions
+    });
+    (pack.upgrades || []).forEach(upg => upgradeDefinitions.push(Object.assign({ biome: pack.id }, upg)));
+    (pack.events || []).forEach(ev => eventsList.push(Object.assign({ biome: pack.id }, ev)));
+    (pack.achievements || []).forEach(ach => {
+      achievements.push({
+        id: ach.id,
+        description: ach.description,
+        check: requirementCheck(ach.requirement),
+        rewardType: ach.rewardType,
+        rewardValue: ach.rewardValue,
+        biome: pack.id
+      });
+    });
+    return [];
+  }
+
+  // Make room in a state for upgrades that biome packs registered after the
+  // state was created.  simulate(), the game store, purchase quotes and
+  // serializeState() call this before touching the upgrade lists.
+  function fitUpgrades(state) {
+    for (let i = state.upgradesOwned.length; i < upgradeDefinitions.length; i++) {
+      state.upgradesOwned.push(0);
+      state.upgradeCosts.push(upgradeDefinitions[i].baseCost);
+    }
+  }
+
+  // ==== Permit Tree ====
+
+  // Seconds between automatic purchases by the Quartermaster
+  const AUTO_BUY_INTERVAL_SECONDS = 5;
+
+  // Largest share of current coins the Quartermaster spends on one purchase
+  const AUTO_BUY_BUDGET_SHARE = 0.25;
+
+  // Current level of a permit tree node
+  function permitLevel(state, id) {
+    return state.permitTree[id] || 0;
+  }
+
+  // Total effect of every permit tree node with the given effect
+  function permitEffect(state, effect) {
+    return permitTreeDefinitions.reduce((sum, def) =>
+      def.effect === effect ? sum + def.effectValue * permitLevel(state, def.id) : sum, 0);
+  }
+
+  // Permits needed for the next level of a node
+  function permitNodeCost(state, id) {
+    const def = permitTreeDefinitions.find(node => node.id === id);
+    return scaledCost(def, permitLevel(state, id));
+  }
+
+  /**
+   * Whether the next level of a permit tree node can be bought.
+   * @param {Object} state
+   * @param {string} id Node id
+   * @returns {string} 'maxed', 'locked' (a requirement is missing),
+   *   'expensive' (not enough permits) or 'available'
+   */
+  function permitNodeStatus(state, id) {
+    const def = permitTreeDefinitions.find(node => node.id === id);
+    if (permitLevel(state, id) >= def.maxLevel) return 'maxed';
+    if (def.requires.some(req => permitLevel(state, req.id) < req.level)) return 'locked';
+    if (state.permitsAvailable < permitNodeCost(state, id)) return 'expensive';
+    return 'available';
+  }
+
+  // Permits spent on the tree, all of which a respec refunds
+  function permitTreeRefund(state) {
+    return permitTreeDefinitions.reduce((sum, def) =>
+      sum + bulkCost(def, 0, permitLevel(state, def.id)), 0);
+  }
+
+  // Permits needed to unlock a biome after Land Grants discounts
+  function biomeCost(state, biome) {
+    return Math.max(1, biome.cost - permitEffect(state, 'biomeDiscount'));
+  }
+
+  // Cheapest affordable purchase of one kind within the Quartermaster budget
+  function cheapestAutoBuy(state, kind, definitions, budget) {
+    let best = null;
+    definitions.forEach((def, index) => {
+      if (kind === 'upgrade' && !biomeUnlocked(state, def.biome)) return;
+      const quote = quotePurchase(state, kind, index, 1);
+      if (quote && quote.cost <= budget && (!best || quote.cost < best.cost)) {
+        best = { index: index, cost: quote.cost };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Quartermaster auto-buyers.  Every AUTO_BUY_INTERVAL_SECONDS of play the
+   * cheapest unit costing at most AUTO_BUY_BUDGET_SHARE of current coins is
+   * bought; at level 2 the cheapest such upgrade is bought as well.  Only
+   * runs while playing, so offline catch-up never spends coins.
+   */
+  function runAutoBuyers(state, seconds) {
+    const level = permitEffect(state, 'autoBuy');
+    if (level <= 0) return;
+    state.autoBuyTimer += seconds;
+    if (state.autoBuyTimer < AUTO_BUY_INTERVAL_SECONDS) return;
+    state.autoBuyTimer = 0;
+    const unit = cheapestAutoBuy(state, 'unit', state.unitDefinitions, state.coins * AUTO_BUY_BUDGET_SHARE);
+    if (unit) buyUnit(state, { index: unit.index, quantity: 1 });
+    if (level < 2) return;
+    const upgrade = cheapestAutoBuy(state, 'upgrade', upgradeDefinitions, state.coins * AUTO_BUY_BUDGET_SHARE);
+    if (upgrade) buyUpgrade(state, { index: upgrade.index, quantity: 1 });
+  }
+
+  // ==== Manual Rescue ====
+  // Each click rescues a flat amount plus a share of the per-second rescue
+  // rate, so clicking stays worthwhile as the idle economy grows.  Clicks
+  // in quick succession build a combo, and a few are critical rescues.
+  // Clicking faster or more regularly than a person can switches both off
+  // for a while, leaving only the flat amount.
+
+  // Share of the per-second rescue rate added to every click
+  const CLICK_RATE_SHARE = 0.05;
+  // Clicks within this many milliseconds of each other keep the combo going
+  const COMBO_WINDOW_MS = 1000;
+  // Combo steps that count and the multiplier added per step
+  const MAX_COMBO = 50;
+  const COMBO_STEP = 0.02;
+  // Chance and multiplier of a critical rescue
+  const CRIT_CHANCE = 0.05;
+  const CRIT_MULTIPLIER = 5;
+  // Auto-clicker detection looks at this many recent clicks.  More than
+  // MAX_CLICKS_PER_SECOND, or intervals steadier than AUTO_CLICK_JITTER_MS,
+  // mark the clicks as automated for AUTO_CLICK_PENALTY_MS.
+  const CLICK_SAMPLE_SIZE = 20;
+  const MAX_CLICKS_PER_SECOND = 15;
+  const AUTO_CLICK_JITTER_MS = 4;
+  const AUTO_CLICK_PENALTY_MS = 30000;
+
+  // Total effect of the owned click upgrades of one type
+  function clickUpgradeEffect(state, effectType) {
+    return clickUpgradeDefinitions.reduce((sum, upg, index) => {
+      return upg.effectType === effectType ? sum + upg.effectValue * state.clickUpgradesOwned[index] : sum;
+    }, 0);
+  }
+
+  // Animals rescued by one click before combo and critical multipliers
+  function clickPower(state) {
+    const share = CLICK_RATE_SHARE + clickUpgradeEffect(state, 'rateShare');
+    return 1 + clickUpgradeEffect(state, 'power') + computeRescueRate(state) * share;
+  }
+
+  // Chance of a critical rescue
+  function critChance(state) {
+    return Math.min(1, CRIT_CHANCE + clickUpgradeEffect(state, 'crit'));
+  }
+
+  // Multiplier from the current combo
+  function comboMultiplier(state) {
+    return 1 + Math.min(state.clickCombo, MAX_COMBO) * (COMBO_STEP + clickUpgradeEffect(state, 'combo'));
+  }
+
+  // Record a click time and report whether recent clicks look automated:
+  // too many per second, or spaced too evenly for a person
+  function detectAutoClicker(state, at) {
+    state.recentClicks.push(at);
+    if (state.recentClicks.length > CLICK_SAMPLE_SIZE) state.recentClicks.shift();
+    if (state.recentClicks.length < CLICK_SAMPLE_SIZE) return false;
+    const intervals = [];
+    for (let i = 1; i < state.recentClicks.length; i++) {
+      intervals.push(state.recentClicks[i] - state.recentClicks[i - 1]);
+    }
+    const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+    const variance = intervals.reduce((sum, interval) => sum + Math.pow(interval - mean, 2), 0) / intervals.length;
+    return mean < 1000 / MAX_CLICKS_PER_SECOND || Math.sqrt(variance) < AUTO_CLICK_JITTER_MS;
+  }
+
+  // ==== Actions ====
+  // Each reducer changes the state in response to the player and returns
+  // whether it succeeded.  Reducers receive the state, an optional payload
+  // and an events array onto which they may push events describing side
+  // effects (such as a finished mission).
+
+  // Exponential cost of the next purchase after owning `owned`
+  function scaledCost(def, owned) {
+    return Math.floor(def.baseCost * Math.pow(def.costMultiplier, owned));
+  }
+
+  // Buy quantity meaning "as many as can be afforded"
+  const BUY_MAX = 'max';
+
+  /**
+   * Total cost of buying `quantity` more after owning `owned`.  The costs
+   * form a geometric series, baseCost * costMultiplier^owned * (1 + m + m^2 +
+   * ... + m^(quantity - 1)), summed in closed form.  For a single item this
+   * equals scaledCost().
+   */
+  function bulkCost(def, owned, quantity) {
+    if (quantity <= 0) return 0;
+    const m = def.costMultiplier;
+    const first = def.baseCost * Math.pow(m, owned);
+    if (m === 1) return Math.floor(first * quantity);
+    return Math.floor(first * (Math.pow(m, quantity) - 1) / (m - 1));
+  }
+
+  // Largest quantity whose bulkCost() fits within the budget
+  function maxAffordable(def, owned, budget) {
+    const m = def.costMultiplier;
+    const first = def.baseCost * Math.pow(m, owned);
+    if (budget < first) return 0;
+    let quantity = m === 1
+      ? Math.floor(budget / first)
+      : Math.floor(Math.log(1 + budget * (m - 1) / first) / Math.log(m));
+    // Correct for floating point error at the boundary
+    while (quantity > 0 && bulkCost(def, owned, quantity) > budget) quantity -= 1;
+    while (bulkCost(def, owned, quantity + 1) <= budget) quantity += 1;
+    return quantity;
+  }
+
+  // The definition, owned count and budget behind a unit, upgrade or click
+  // upgrade purchase
+  function purchaseTarget(state, kind, index) {
+    if (kind === 'unit') {
+      const def = state.unitDefinitions[index];
+      return def && { def: def, owned: state.unitsOwned[index], budget: state.coins };
+    } else if (kind === 'upgrade') {
+      fitUpgrades(state);
+      const def = upgradeDefinitions[index];
+      return def && { def: def, owned: state.upgradesOwned[index], budget: state.coins };
+    } else if (kind === 'click') {
+      const def = clickUpgradeDefinitions[index];
+      return def && { def: def, owned: state.clickUpgradesOwned[index], budget: state.coins };
+    }
+    return null;
+  }
+
+  /**
+   * Quote a purchase of a unit, upgrade or click upgrade.
+   * For BUY_MAX the quantity is the most the player can afford; when that is
+   * none, the quote is for a single item so the price of the next one can
+   * still be shown.
+   * @param {Object} state
+   * @param {string} kind 'unit', 'upgrade' or 'click'
+   * @param {number} index Index into the matching definitions
+   * @param {number|string} quantity A positive count or BUY_MAX
+   * @returns {{quantity: number, cost: number, affordable: boolean}|null}
+   */
+  function quotePurchase(state, kind, index, quantity) {
+    const target = purchaseTarget(state, kind, index);
+    if (!target) return null;
+    let count = quantity === BUY_MAX
+      ? maxAffordable(target.def, target.owned, target.budget)
+      : Math.max(1, Math.floor(quantity) || 1);
+    if (count === 0) count = 1;
+    const cost = bulkCost(target.def, target.owned, count);
+    return { quantity: count, cost: cost, affordable: cost <= target.budget };
+  }
+
+  // Purchase units if the player has enough coins.  Payload: { index, quantity }
+  function buyUnit(state, payload) {
+    const quote = quotePurchase(state, 'unit', payload.index, payload.quantity || 1);
+    if (!quote || !quote.affordable) return false;
+    const index = payload.index;
+    state.coins -= quote.cost;
+    state.unitsOwned[index] += quote.quantity;
+    state.nextCosts[index] = scaledCost(state.unitDefinitions[index], state.unitsOwned[index]);
+    updateTasks(state);
+    return true;
+  }
+
+  // Purchase upgrades if the player has enough coins.  Payload: { index, quantity }
+  function buyUpgrade(state, payload) {
+    const def = upgradeDefinitions[payload.index];
+    if (!def || !biomeUnlocked(state, def.biome)) return false;
+    const quote = quotePurchase(state, 'upgrade', payload.index, payload.quantity || 1);
+    if (!quote || !quote.affordable) return false;
+    const index = payload.index;
+    const upg = upgradeDefinitions[index];
+    state.coins -= quote.cost;
+    state.upgradesOwned[index] += quote.quantity;
+    // Apply the upgrade effect once per level bought
+    const effect = upg.effectValue * quote.quantity;
+    if (upg.tag) {
+      // Tagged upgrades only boost matching units or missions
+      updateTaggedBonuses(state);
+    } else if (upg.effectType === 'rate') {
+      state.globalRateBonus += effect;
+    } else if (upg.effectType === 'time') {
+      state.globalTimeReduction += effect;
+      // Cap reduction at 0.9 (cannot reduce more than 90%) to avoid negative durations
+      if (state.globalTimeReduction > 0.9) state.globalTimeReduction = 0.9;
+    } else if (upg.effectType === 'animals') {
+      state.globalAnimalBonus += effect;
+    }
+    state.upgradeCosts[index] = scaledCost(upg, state.upgradesOwned[index]);
+    return true;
+  }
+
+  // Purchase click upgrades if the player has enough coins.  Payload: { index, quantity }
+  function buyClickUpgrade(state, payload) {
+    const quote = quotePurchase(state, 'click', payload.index, payload.quantity || 1);
+    if (!quote || !quote.affordable) return false;
+    const def = clickUpgradeDefinitions[payload.index];
+    state.coins -= quote.cost;
+    state.clickUpgradesOwned[payload.index] += quote.quantity;
+    state.clickUpgradeCosts[payload.index] = scaledCost(def, state.clickUpgradesOwned[payload.index]);
+    return true;
+  }
+
+  // Buy the next level of a permit tree node.  Payload: { id }
+  function buyPermitNode(state, payload) {
+    const def = permitTreeDefinitions.find(node => node.id === payload.id);
+    if (!def || permitNodeStatus(state, def.id) !== 'available') return false;
+    state.permitsAvailable -= permitNodeCost(state, def.id);
+    state.permitTree[def.id] = permitLevel(state, def.id) + 1;
+    applyPermitBonuses(state);
+    return true;
+  }
+
+  // Reset the permit tree and refund every permit spent on it
+  function respecPermits(state) {
+    const refund = permitTreeRefund(state);
+    if (refund <= 0) return false;
+    state.permitsAvailable += refund;
+    state.permitTree = {};
+    applyPermitBonuses(state);
+    return true;
+  }
+
+  // Unlock a biome if the player has enough permits
+  function unlockBiome(state, id, events) {
+    const biome = biomeDefinitions.find(b => b.id === id);
+    if (!biome || state.biomesUnlocked[id] || state.permitsAvailable < biomeCost(state, biome)) return false;
+    state.permitsAvailable -= biomeCost(state, biome);
+    state.biomesUnlocked[id] = true;
+    applyBiome(state, biome);
+    updateSpeciesBonuses(state);
+    if (events) events.push({ type: 'biomeUnlocked', biome: biome });
+    return true;
+  }
+
+  // Apply a reward from an achievement or quest step
+  function applyReward(state, rewardType, rewardValue) {
+    if (rewardType === 'coins') {
+      state.coins += rewardValue;
+    } else if (rewardType === 'rate') {
+      state.achievementRateBonus += rewardValue;
+    } else if (rewardType === 'time') {
+      state.achievementTimeReduction += rewardValue;
+      // Cap time reduction at 0.9 to avoid negative mission duration
+      capAchievementTimeReduction(state);
+    } else if (rewardType === 'animals') {
+      state.achievementAnimalBonus += rewardValue;
+    } else if (rewardType === 'permit') {
+      // Grant permits directly (adds to available permits and total)
+      state.permitsAvailable += rewardValue;
+      state.permitsTotal += rewardValue;
+    }
+  }
+
+  // Claim an achievement reward and mark it complete
+  function claimAchievement(state, id) {
+    const ach = achievements.find(a => a.id === id);
+    // If already completed or requirement not met, do nothing
+    if (!ach || state.achievementsCompleted[id] || !biomeUnlocked(state, ach.biome) || !ach.check(state)) return false;
+    state.achievementsCompleted[id] = true;
+    applyReward(state, ach.rewardType, ach.rewardValue);
+    return true;
+  }
+
+  // Claim the current quest step reward and advance to next step
+  function claimQuestReward(state) {
+    const step = questSteps[state.currentQuestStep];
+    // Ensure requirement met and not yet claimed
+    if (!step || !step.check(state) || state.questStepsClaimed[state.currentQuestStep]) return false;
+    state.questStepsClaimed[state.currentQuestStep] = true;
+    applyReward(state, step.rewardType, step.rewardValue);
+    state.currentQuestStep += 1;
+    return true;
+  }
+
+  // Start a mission from the board.  Payload: { id } of the offer.  Only one
+  // mission runs at a time, and starting another one forfeits a retry.
+  function startMission(state, payload) {
+    if (state.currentMission) return false;
+    const index = state.missionBoard.findIndex(offer => offer.id === payload.id);
+    if (index === -1) return false;
+    const offer = state.missionBoard[index];
+    if (offer.crisis && offer.expiresAt <= state.now) return false;
+    state.missionBoard.splice(index, 1);
+    state.retryOffer = null;
+    beginMission(state, offer);
+    return true;
+  }
+
+  // Number of units of one type that can still be dispatched
+  function availableUnits(state, index) {
+    return state.unitsOwned[index] - deployedUnits(state, index);
+  }
+
+  // Dispatch units to the running mission.  Payload: { index, quantity },
+  // where quantity is a count or BUY_MAX for every available unit.
+  function deployUnits(state, payload) {
+    const mission = state.currentMission;
+    if (!mission || !state.unitDefinitions[payload.index]) return false;
+    const available = availableUnits(state, payload.index);
+    const quantity = payload.quantity === BUY_MAX ? available : Math.min(available, payload.quantity || 1);
+    if (quantity <= 0) return false;
+    mission.deployed[payload.index] = deployedUnits(state, payload.index) + quantity;
+    return true;
+  }
+
+  // Bring dispatched units back to passive rescuing.  Payload: { index,
+  // quantity }, where quantity is a count or BUY_MAX for all of them.
+  function recallUnits(state, payload) {
+    const deployed = deployedUnits(state, payload.index);
+    const quantity = payload.quantity === BUY_MAX ? deployed : Math.min(deployed, payload.quantity || 1);
+    if (quantity <= 0) return false;
+    state.currentMission.deployed[payload.index] = deployed - quantity;
+    return true;
+  }
+
+  // Replay the last failed mission at a higher difficulty
+  function retryMission(state) {
+    if (state.currentMission || !state.retryOffer) return false;
+    const offer = state.retryOffer;
+    state.retryOffer = null;
+    beginMission(state, offer);
+    return true;
+  }
+
+  /**
+   * Manual rescue: animals and coins by click power, combo and critical
+   * rescues, also helping the active mission.  Payload: { at } with the
+   * click time in milliseconds (defaults to the state clock) and an
+   * optional roll in [0, 1) for the critical rescue check.
+   */
+  function manualRescue(state, payload, events) {
+    const at = payload && typeof payload.at === 'number' ? payload.at : state.now;
+    if (detectAutoClicker(state, at)) {
+      state.autoClickUntil = at + AUTO_CLICK_PENALTY_MS;
+      state.recentClicks = [];
+    }
+    const automated = at < state.autoClickUntil;
+    let amount = 1 + clickUpgradeEffect(state, 'power');
+    let crit = false;
+    if (automated) {
+      state.clickCombo = 0;
+    } else {
+      state.clickCombo = at - state.lastClickAt <= COMBO_WINDOW_MS ? state.clickCombo + 1 : 0;
+      const roll = payload && typeof payload.roll === 'number' ? payload.roll : Math.random();
+      crit = roll < critChance(state);
+      amount = clickPower(state) * comboMultiplier(state) * (crit ? CRIT_MULTIPLIER : 1);
+    }
+    state.lastClickAt = at;
+    state.coins += amount;
+    state.animalsSaved += amount;
+    state.lifetimeAnimalsSaved += amount;
+    if (events) {
+      events.push({ type: 'manualRescue', amount: amount, crit: crit, combo: state.clickCombo, automated: automated });
+    }
+    // Manual rescues also reduce the current animals at risk if any mission is active
+    if (state.currentMission && state.animalsAtRisk > 0) {
+      state.animalsAtRisk = Math.max(0, state.animalsAtRisk - amount);
+      if (state.missionTimeLeft <= 0 || state.animalsAtRisk <= 0) {
+        const finished = finishMission(state);
+        if (events) {
+          events.push(finished);
+          creditEventGoal(state, finished, events);
+        }
+      }
+    }
+    // Manual saves count toward the current season
+    addSeasonAnimals(state, amount);
+    updateTasks(state);
+    return true;
+  }
+
+  // Grant the daily bonus if it has not been granted on the given date
+  function grantDailyBonus(state, dateString) {
+    if (state.lastDailyBonusDate === dateString) return false;
+    state.coins += DAILY_BONUS_COINS;
+    state.lastDailyBonusDate = dateString;
+    return true;
+  }
+
+  // Move the coins earned while away into the balance
+  function claimOfflineEarnings(state) {
+    if (state.unclaimedOfflineCoins <= 0) return false;
+    state.coins += state.unclaimedOfflineCoins;
+    state.unclaimedOfflineCoins = 0;
+    return true;
+  }
+
+  // Perform a prestige reset: award new permits and reset game progress
+  function prestige(state) {
+    const newPermits = pendingPermits(state);
+    if (newPermits <= 0) return false;
+    state.prestigeCount += 1;
+    state.permitsTotal += newPermits;
+    state.permitsAvailable += newPermits;
+    // Reset current run progress; Seed Funding gives the new reserve a start
+    state.coins = permitEffect(state, 'startingCoins');
+    state.unclaimedOfflineCoins = 0;
+    state.animalsSaved = 0;
+    // Reset units and their costs
+    state.unitDefinitions.forEach((unit, i) => {
+      state.unitsOwned[i] = 0;
+      state.nextCosts[i] = unit.baseCost;
+    });
+    // Reset upgrades and click upgrades and their costs
+    upgradeDefinitions.forEach((upg, i) => {
+      state.upgradesOwned[i] = 0;
+      state.upgradeCosts[i] = upg.baseCost;
+    });
+    clickUpgradeDefinitions.forEach((upg, i) => {
+      state.clickUpgradesOwned[i] = 0;
+      state.clickUpgradeCosts[i] = upg.baseCost;
+    });
+    state.globalRateBonus = 0;
+    state.globalTimeReduction = 0;
+    state.globalAnimalBonus = 0;
+    state.detachedUnits = {};
+    state.detachedUpgrades = {};
+    state.detachedSpecies = [];
+    // Reset species saved flags
+    state.speciesList.forEach(sp => {
+      sp.saved = false;
+    });
+    updateSpeciesBonuses(state);
+    // Reset tasks completed
+    Object.keys(state.tasksCompleted).forEach(key => {
+      state.tasksCompleted[key] = false;
+    });
+    state.missionsCompleted = 0;
+    // Abandon the running mission and offer a fresh board.  Threats belong
+    // to the old reserve; outcome totals and lost animals are kept.
+    state.currentMission = null;
+    state.lastOutcome = null;
+    state.retryOffer = null;
+    state.failureStreaks = {};
+    state.threatLevels = {};
+    state.missionTimeLeft = 0;
+    state.animalsAtRisk = 0;
+    state.totalAnimalsForMission = 0;
+    // Reset reserve counts
+    state.reserveCounts = {};
+    // Reset last daily bonus date to allow immediate bonus next day
+    state.lastDailyBonusDate = null;
+    // Finalize the season: the best total is already tracked, so just reset the tally
+    state.seasonAnimalsSaved = 0;
+    refillMissionBoard(state);
+    return true;
+  }
+
+  // Reducers by action name, used by createGame().dispatch
+  const actions = {
+    buyUnit: buyUnit,
+    buyUpgrade: buyUpgrade,
+    buyClickUpgrade: buyClickUpgrade,
+    buyPermitNode: buyPermitNode,
+    respecPermits: respecPermits,
+    unlockBiome: unlockBiome,
+    claimAchievement: claimAchievement,
+    claimQuestReward: claimQuestReward,
+    startMission: startMission,
+    retryMission: retryMission,
+    deployUnits: deployUnits,
+    recallUnits: recallUnits,
+    manualRescue: manualRescue,
+    grantDailyBonus: grantDailyBonus,
+    claimOfflineEarnings: claimOfflineEarnings,
+    prestige: prestige
+  };
+
+  // ==== Save Schema and Migrations ====
+  // Every save carries a schemaVersion.  Older saves are upgraded one version
+  // at a time by the functions in saveMigrations, so a save from v0.5 passes
+  // through the v0.6 step before the v0.7 step.  Each step fills in the
+  // fields its release introduced and repairs what it can from partial or
+  // hand-edited saves.  When the save shape changes, bump SAVE_SCHEMA_VERSION
+  // and add a migration from the previous version.
+  //   1 = v0.5.0 (units, upgrades, missions and safe haven)
+  //   2 = v0.6.0 (permits, world events, achievements, questline and biomes)
+  //   3 = v0.7.0 (season totals, friend codes and the schemaVersion field)
+  //   4 = v0.8.0 (mission board with generated missions replaces the fixed
+  //       rotation; mission outcomes, lost animals, species threat levels
+  //       the prestige count, a mission history, event goals, click
+  //       upgrades, species mastery, the species field guide history, the
+  //       permit tree, which replaces the flat permit shop, and unit and
+  //       upgrade names that keep biome pack progress when a pack is missing)
+  const SAVE_SCHEMA_VERSION = 4;
+
+  // Return value if it is a finite, non-negative number, otherwise fallback
+  function toSaveNumber(value, fallback) {
+    return typeof value === 'number' && isFinite(value) && value >= 0 ? value : fallback;
+  }
+
+  // Return a copy of value with every entry coerced to a save number
+  function toSaveNumberArray(value) {
+    return Array.isArray(value) ? value.map(v => toSaveNumber(v, 0)) : [];
+  }
+
+  // Return value if it is an array of names, otherwise null
+  function toSaveNameArray(value) {
+    return Array.isArray(value) && value.every(name => typeof name === 'string') ? value : null;
+  }
+
+  // Return value if it is a plain object, otherwise an empty object
+  function toSaveObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  }
+
+  // Return a copy of value keeping only the finite, non-negative numbers
+  function toSaveNumberMap(value) {
+    const map = {};
+    const source = toSaveObject(value);
+    Object.keys(source).forEach(key => {
+      const number = toSaveNumber(source[key], null);
+      if (number !== null) map[key] = number;
+    });
+    return map;
+  }
+
+  // Return a mission history entry with its fields repaired
+  function toSaveHistoryEntry(entry) {
+    return {
+      name: entry.name,
+      type: typeof entry.type === 'string' ? entry.type : entry.name,
+      species: typeof entry.species === 'string' ? entry.species : '',
+      outcome: ['success', 'partial', 'failed'].indexOf(entry.outcome) !== -1 ? entry.outcome : 'failed',
+      rating: toSaveNumber(entry.rating, 0),
+      startedAt: toSaveNumber(entry.startedAt, 0),
+      endedAt: toSaveNumber(entry.endedAt, 0),
+      durationUsed: toSaveNumber(entry.durationUsed, 0),
+      rescued: toSaveNumber(entry.rescued, 0),
+      atRisk: toSaveNumber(entry.atRisk, 0),
+      bonusMultiplier: toSaveNumber(entry.bonusMultiplier, 1),
+      saved: toSaveNumber(entry.saved, 0),
+      coins: toSaveNumber(entry.coins, 0)
+    };
+  }
+
+  // Return a mission offer with its fields repaired, or null if it is unusable
+  function toSaveOffer(value) {
+    if (!value || typeof value !== 'object' || typeof value.name !== 'string' || typeof value.species !== 'string') {
+      return null;
+    }
+    return {
+      id: toSaveNumber(value.id, 0),
+      name: value.name,
+      type: typeof value.type === 'string' ? value.type : value.name,
+      species: value.species,
+      biome: typeof value.biome === 'string' ? value.biome : null,
+      tags: Array.isArray(value.tags) ? value.tags.filter(tag => typeof tag === 'string') : [],
+      duration: toSaveNumber(value.duration, 120),
+      baseRisk: toSaveNumber(value.baseRisk, 20),
+      difficulty: toSaveNumber(value.difficulty, 1),
+      reward: toSaveNumber(value.reward, 0),
+      threat: toSaveNumber(value.threat, 0),
+      modifiers: Array.isArray(value.modifiers) ? value.modifiers.filter(id => typeof id === 'string') : [],
+      seed: toSaveNumber(value.seed, 0),
+      retry: !!value.retry,
+      crisis: !!value.crisis,
+      eventId: typeof value.eventId === 'string' ? value.eventId : null,
+      expiresAt: toSaveNumber(value.expiresAt, 0)
+    };
+  }
+
+  /**
+   * Determine the schema version of a parsed save.  Saves written before the
+   * schemaVersion field existed are recognised by the fields each release
+   * added: season totals arrived in v0.7 and permits in v0.6.
+   * @param {Object} save Parsed save object
+   * @returns {number}
+   */
+  function detectSaveVersion(save) {
+    if (typeof save.schemaVersion === 'number') return save.schemaVersion;
+    if ('seasonAnimalsSaved' in save || 'playerId' in save) return 3;
+    if ('permitsTotal' in save) return 2;
+    return 1;
+  }
+
+  // Migration steps keyed by the version they upgrade from.  Each function
+  // receives the save at that version and returns it at the next version.
+  const saveMigrations = {
+    // v0.5 -> v0.6: add the prestige, event, biome, achievement and questline
+    // fields introduced in v0.6.
+    1: function(save) {
+      // Lifetime rescues did not exist yet; the current run is the best estimate
+      if (save.lifetimeAnimalsSaved === undefined) {
+        save.lifetimeAnimalsSaved = toSaveNumber(save.animalsSaved, 0);
+      }
+      save.permitsTotal = 0;
+      save.permitsAvailable = 0;
+      save.permitUpgrades = { rate: 0, animals: 0, time: 0, map: 0 };
+      save.activeEvent = null;
+      save.biomesUnlocked = {};
+      save.achievementsCompleted = {};
+      save.achievementRateBonus = 0;
+      save.achievementTimeReduction = 0;
+      save.achievementAnimalBonus = 0;
+      save.currentQuestStep = 0;
+      save.questStepsClaimed = {};
+      return save;
+    },
+    // v0.6 -> v0.7: add season totals.  v0.6 builds could write permit costs
+    // that disagree with the owned levels; costs are no longer saved, so the
+    // levels alone are carried forward.
+    2: function(save) {
+      save.seasonAnimalsSaved = toSaveNumber(save.seasonAnimalsSaved, 0);
+      save.bestSeasonTotal = toSaveNumber(save.bestSeasonTotal, save.seasonAnimalsSaved);
+      delete save.permitUpgradeCosts;
+      return save;
+    },
+    // v0.7 -> v0.8: the fixed rotation becomes a mission board.  A running
+    // core mission carries on as the chosen mission with no coin reward;
+    // biome missions cannot be looked up from the save alone and are
+    // dropped.  The board fills on the first update after loading.
+    3: function(save) {
+      const template = missionDefinitions[save.currentMissionIndex];
+      save.currentMission = save.missionActive && template
+        ? Object.assign({ id: 0, reward: 0 }, template)
+        : null;
+      delete save.currentMissionIndex;
+      delete save.missionActive;
+      save.missionBoard = [];
+      save.boardRefreshAt = 0;
+      save.nextOfferId = 1;
+      save.missionSeed = Math.floor(Math.random() * 4294967296);
+      save.prestigeCount = 0;
+      save.missionOutcomes = { success: 0, partial: 0, failed: 0, perfect: 0 };
+      save.lostAnimals = {};
+      save.failureStreaks = {};
+      save.threatLevels = {};
+      save.lastOutcome = null;
+      save.retryOffer = null;
+      save.missionHistory = [];
+      save.clickUpgradesOwned = [];
+      save.clickUpgradeCosts = [];
+      // Mastery starts from the animals in the current reserve
+      save.speciesRescued = Object.assign({}, save.reserveCounts);
+      save.firstRescuedAt = {};
+      save.speciesHistory = {};
+      return save;
+    }
+  };
+
+  /**
+   * Validate a save at the current schema version and repair anything that
+   * is missing or malformed, so that restoreState() can read it without
+   * further checks.  Runs after the migrations, which means it also covers
+   * partial or hand-edited saves that already claim to be current.
+   * @param {Object} save Save object at SAVE_SCHEMA_VERSION
+   * @returns {Object} The repaired save
+   */
+  function validateSave(save) {
+    save.coins = toSaveNumber(save.coins, 0);
+    save.animalsSaved = toSaveNumber(save.animalsSaved, 0);
+    save.unitsOwned = toSaveNumberArray(save.unitsOwned);
+    save.nextCosts = toSaveNumberArray(save.nextCosts);
+    save.upgradesOwned = toSaveNumberArray(save.upgradesOwned);
+    save.upgradeCosts = toSaveNumberArray(save.upgradeCosts);
+    save.unitNames = toSaveNameArray(save.unitNames);
+    save.upgradeNames = toSaveNameArray(save.upgradeNames);
+    save.clickUpgradesOwned = toSaveNumberArray(save.clickUpgradesOwned);
+    save.clickUpgradeCosts = toSaveNumberArray(save.clickUpgradeCosts);
+    save.globalRateBonus = toSaveNumber(save.globalRateBonus, 0);
+    save.globalTimeReduction = toSaveNumber(save.globalTimeReduction, 0);
+    save.globalAnimalBonus = toSaveNumber(save.globalAnimalBonus, 0);
+    save.missionsCompleted = toSaveNumber(save.missionsCompleted, 0);
+    save.tasksCompleted = toSaveObject(save.tasksCompleted);
+    save.speciesState = Array.isArray(save.speciesState)
+      ? save.speciesState.filter(sp => sp && typeof sp.name === 'string')
+      : [];
+    save.reserveCounts = toSaveObject(save.reserveCounts);
+    Object.keys(save.reserveCounts).forEach(name => {
+      save.reserveCounts[name] = toSaveNumber(save.reserveCounts[name], 0);
+    });
+    save.lifetimeAnimalsSaved = toSaveNumber(save.lifetimeAnimalsSaved, save.animalsSaved);
+    save.permitsTotal = toSaveNumber(save.permitsTotal, 0);
+    save.permitsAvailable = toSaveNumber(save.permitsAvailable, 0);
+    if (!('permitTree' in save)) {
+      // The flat permit shop came before the tree; refund every permit
+      // spent there so the player can pick nodes afresh
+      const upgrades = toSaveObject(save.permitUpgrades);
+      ['rate', 'animals', 'time', 'map'].forEach(type => {
+        const levels = Math.max(0, Math.floor(toSaveNumber(upgrades[type], 0)));
+        save.permitsAvailable += Math.pow(LEGACY_PERMIT_COST_MULTIPLIER, levels) - 1;
+      });
+    }
+    delete save.permitUpgrades;
+    delete save.permitUpgradeCosts;
+    const tree = toSaveObject(save.permitTree);
+    save.permitTree = {};
+    permitTreeDefinitions.forEach(def => {
+      const level = Math.floor(toSaveNumber(tree[def.id], 0));
+      if (level > 0) save.permitTree[def.id] = Math.min(level, def.maxLevel);
+    });
+    const event = save.activeEvent;
+    if (!event || typeof event !== 'object' || typeof event.endTime !== 'number') {
+      save.activeEvent = null;
+    } else if (!eventsList.some(e => e.id === event.id)) {
+      // An event this session does not define, such as one of a biome pack
+      // that did not load, cannot run; a registered event takes its place on
+      // the next update
+      save.activeEvent = null;
+    } else if (event.goal) {
+      const goal = toSaveObject(event.goal);
+      event.goal = {
+        target: toSaveNumber(goal.target, 0),
+        progress: toSaveNumber(goal.progress, 0),
+        reward: toSaveNumber(goal.reward, 0),
+        completed: !!goal.completed
+      };
+    }
+    save.biomesUnlocked = toSaveObject(save.biomesUnlocked);
+    save.achievementsCompleted = toSaveObject(save.achievementsCompleted);
+    save.achievementRateBonus = toSaveNumber(save.achievementRateBonus, 0);
+    save.achievementTimeReduction = toSaveNumber(save.achievementTimeReduction, 0);
+    save.achievementAnimalBonus = toSaveNumber(save.achievementAnimalBonus, 0);
+    save.currentQuestStep = toSaveNumber(save.currentQuestStep, 0);
+    save.questStepsClaimed = toSaveObject(save.questStepsClaimed);
+    save.seasonAnimalsSaved = toSaveNumber(save.seasonAnimalsSaved, 0);
+    save.bestSeasonTotal = Math.max(toSaveNumber(save.bestSeasonTotal, 0), save.seasonAnimalsSaved);
+    const deployed = save.currentMission && save.currentMission.deployed;
+    const startedAt = save.currentMission && save.currentMission.startedAt;
+    save.currentMission = toSaveOffer(save.currentMission);
+    if (save.currentMission) {
+      // Missions carried over from the rotation have no start time; the
+      // save time is the closest known
+      save.currentMission.startedAt = toSaveNumber(startedAt, toSaveNumber(save.lastSave, 0));
+      // Units dispatched to the running mission, never more than are owned
+      save.currentMission.deployed = save.unitsOwned.map((owned, i) =>
+        Math.min(owned, Math.floor(toSaveNumber(Array.isArray(deployed) ? deployed[i] : 0, 0))));
+    }
+    save.missionTimeLeft = toSaveNumber(save.missionTimeLeft, 0);
+    save.animalsAtRisk = toSaveNumber(save.animalsAtRisk, 0);
+    save.totalAnimalsForMission = toSaveNumber(save.totalAnimalsForMission, 0);
+    // Crisis offers only stay while their event does
+    save.missionBoard = Array.isArray(save.missionBoard)
+      ? save.missionBoard.map(toSaveOffer).filter(offer =>
+        offer && (!offer.crisis || (save.activeEvent && offer.eventId === save.activeEvent.id)))
+      : [];
+    save.boardRefreshAt = toSaveNumber(save.boardRefreshAt, 0);
+    save.nextOfferId = toSaveNumber(save.nextOfferId, 1);
+    save.missionSeed = Math.floor(toSaveNumber(save.missionSeed, Math.random() * 4294967296)) >>> 0;
+    save.prestigeCount = toSaveNumber(save.prestigeCount, 0);
+    const outcomes = toSaveObject(save.missionOutcomes);
+    save.missionOutcomes = {
+      success: toSaveNumber(outcomes.success, 0),
+      partial: toSaveNumber(outcomes.partial, 0),
+      failed: toSaveNumber(outcomes.failed, 0),
+      perfect: toSaveNumber(outcomes.perfect, 0)
+    };
+    save.lostAnimals = toSaveNumberMap(save.lostAnimals);
+    save.speciesRescued = toSaveNumberMap(save.speciesRescued);
+    save.firstRescuedAt = toSaveNumberMap(save.firstRescuedAt);
+    const speciesHistory = toSaveObject(save.speciesHistory);
+    save.speciesHistory = {};
+    Object.keys(speciesHistory).forEach(name => {
+      if (!Array.isArray(speciesHistory[name])) return;
+      save.speciesHistory[name] = speciesHistory[name]
+        .filter(point => point && typeof point === 'object')
+        .map(point => ({ at: toSaveNumber(point.at, 0), rescued: toSaveNumber(point.rescued, 0) }))
+        .slice(-SPECIES_HISTORY_LIMIT);
+    });
+    save.failureStreaks = toSaveNumberMap(save.failureStreaks);
+    save.threatLevels = toSaveNumberMap(save.threatLevels);
+    const last = save.lastOutcome;
+    if (!last || typeof last !== 'object' || typeof last.name !== 'string' || typeof last.outcome !== 'string') {
+      save.lastOutcome = null;
+    }
+    save.retryOffer = toSaveOffer(save.retryOffer);
+    save.missionHistory = Array.isArray(save.missionHistory)
+      ? save.missionHistory.filter(entry => entry && typeof entry === 'object' && typeof entry.name === 'string')
+        .map(toSaveHistoryEntry)
+        .slice(-MISSION_HISTORY_LIMIT)
+      : [];
+    return save;
+  }
+
+  /**
+   * Upgrade a parsed save to SAVE_SCHEMA_VERSION by running each migration in
+   * turn, then validate the result.  Throws if the save comes from a newer
+   * build than this one, since loading it would discard fields this build
+   * does not understand.
+   * @param {Object} save Parsed save object
+   * @returns {Object} The migrated save
+   */
+  function migrateSave(save) {
+    if (!save || typeof save !== 'object') {
+      throw new Error('Save data is not an object');
+    }
+    let version = detectSaveVersion(save);
+    if (version > SAVE_SCHEMA_VERSION) {
+      throw new Error(`Save schema ${version} is newer than this build (${SAVE_SCHEMA_VERSION})`);
+    }
+    while (version < SAVE_SCHEMA_VERSION) {
+      const migrate = saveMigrations[version];
+      if (!migrate) {
+        throw new Error(`No migration from save schema ${version}`);
+      }
+      save = migrate(save);
+      version += 1;
+      save.schemaVersion = version;
+    }
+    save.schemaVersion = SAVE_SCHEMA_VERSION;
+    return validateSave(save);
+  }
+
+  // Saved position of each definition: by name when the save lists names,
+  // by index for saves written before names were saved (-1 if absent)
+  function savedPositions(names, definitions) {
+    if (!names) return definitions.map((def, i) => i);
+    return definitions.map(def => names.indexOf(def.name));
+  }
+
+  // Saved { owned, cost } by name of the entries no definition matches
+  function detachedEntries(names, definitions, owned, costs) {
+    const detached = {};
+    (names || []).forEach((name, i) => {
+      if (definitions.some(def => def.name === name)) return;
+      detached[name] = { owned: toSaveNumber(owned[i], 0), cost: toSaveNumber(costs[i], 0) };
+    });
+    return detached;
+  }
+
+  // One field of every detached entry, in key order
+  function detachedValues(detached, field) {
+    return Object.keys(detached).map(name => detached[name][field]);
+  }
+
+  /**
+   * Build the save object for a game.  Only progress is written; definitions
+   * and bonuses derived from other fields are rebuilt by restoreState().
+   * @param {Object} state
+   * @returns {Object}
+   */
+  function serializeState(state) {
+    fitUpgrades(state);
+    return {
+      schemaVersion: SAVE_SCHEMA_VERSION,
+      // Unclaimed offline coins are saved as part of the balance so that
+      // closing the game before claiming them loses nothing
+      coins: state.coins + state.unclaimedOfflineCoins,
+      animalsSaved: state.animalsSaved,
+      // Units and upgrades are saved by position, with their names so that
+      // counts stay with the right definition whichever biome packs load
+      unitNames: state.unitDefinitions.map(unit => unit.name).concat(Object.keys(state.detachedUnits)),
+      unitsOwned: Array.from(state.unitsOwned).concat(detachedValues(state.detachedUnits, 'owned')),
+      nextCosts: Array.from(state.nextCosts).concat(detachedValues(state.detachedUnits, 'cost')),
+      upgradeNames: upgradeDefinitions.map(upg => upg.name).concat(Object.keys(state.detachedUpgrades)),
+      upgradesOwned: Array.from(state.upgradesOwned).concat(detachedValues(state.detachedUpgrades, 'owned')),
+      upgradeCosts: Array.from(state.upgradeCosts).concat(detachedValues(state.detachedUpgrades, 'cost')),
+      clickUpgradesOwned: Array.from(state.clickUpgradesOwned),
+      clickUpgradeCosts: Array.from(state.clickUpgradeCosts),
+      globalRateBonus: state.globalRateBonus,
+      globalTimeReduction: state.globalTimeReduction,
+      globalAnimalBonus: state.globalAnimalBonus,
+      tasksCompleted: state.tasksCompleted,
+      speciesState: state.speciesList.map(sp => ({ name: sp.name, saved: sp.saved })).concat(state.detachedSpecies),
+      currentMission: state.currentMission,
+      missionTimeLeft: state.missionTimeLeft,
+      animalsAtRisk: state.animalsAtRisk,
+      totalAnimalsForMission: state.totalAnimalsForMission,
+      missionsCompleted: state.missionsCompleted,
+      missionBoard: state.missionBoard,
+      boardRefreshAt: state.boardRefreshAt,
+      nextOfferId: state.nextOfferId,
+      missionSeed: state.missionSeed,
+      missionOutcomes: state.missionOutcomes,
+      lostAnimals: state.lostAnimals,
+      speciesRescued: state.speciesRescued,
+      firstRescuedAt: state.firstRescuedAt,
+      speciesHistory: state.speciesHistory,
+      failureStreaks: state.failureStreaks,
+      threatLevels: state.threatLevels,
+      lastOutcome: state.lastOutcome,
+      retryOffer: state.retryOffer,
+      missionHistory: state.missionHistory,
+      lastSave: state.now,
+      lastDailyBonusDate: state.lastDailyBonusDate,
+      reserveCounts: state.reserveCounts,
+      // Permits and prestige
+      prestigeCount: state.prestigeCount,
+      permitsTotal: state.permitsTotal,
+      permitsAvailable: state.permitsAvailable,
+      lifetimeAnimalsSaved: state.lifetimeAnimalsSaved,
+      permitTree: Object.assign({}, state.permitTree),
+      activeEvent: state.activeEvent,
+      // Biomes
+      biomesUnlocked: state.biomesUnlocked,
+      // Achievements and questline state
+      achievementsCompleted: state.achievementsCompleted,
+      achievementRateBonus: state.achievementRateBonus,
+      achievementTimeReduction: state.achievementTimeReduction,
+      achievementAnimalBonus: state.achievementAnimalBonus,
+      currentQuestStep: state.currentQuestStep,
+      questStepsClaimed: state.questStepsClaimed,
+      // Season totals for leaderboard export
+      seasonAnimalsSaved: state.seasonAnimalsSaved,
+      bestSeasonTotal: state.bestSeasonTotal
+    };
+  }
+
+  /**
+   * Create a game state from a save.  The save is migrated and validated
+   * first, so any save accepted by migrateSave() can be restored.  Offline
+   * time is not credited here; see collectOfflineEarnings().
+   * @param {Object} save Parsed save object
+   * @param {number} [now] Current time in milliseconds
+   * @returns {Object}
+   */
+  function restoreState(save, now) {
+    save = migrateSave(save);
+    const state = createState(now);
+    // Restore biomes first, in the order they were unlocked, so that biome
+    // units exist before their saved counts are copied into unitsOwned.
+    // A biome whose pack is not registered stays unlocked in the save.
+    Object.keys(save.biomesUnlocked).forEach(id => {
+      if (!save.biomesUnlocked[id]) return;
+      state.biomesUnlocked[id] = true;
+      const biome = biomeDefinitions.find(b => b.id === id);
+      if (biome) applyBiome(state, biome);
+    });
+    // Restore units.  Counts for units this session does not define, such
+    // as those of a biome pack that did not load, are kept aside.
+    const unitPositions = savedPositions(save.unitNames, state.unitDefinitions);
+    state.unitDefinitions.forEach((unit, i) => {
+      state.unitsOwned[i] = toSaveNumber(save.unitsOwned[unitPositions[i]], 0);
+      state.nextCosts[i] = toSaveNumber(save.nextCosts[unitPositions[i]], scaledCost(unit, state.unitsOwned[i]));
+    });
+    state.detachedUnits = detachedEntries(save.unitNames, state.unitDefinitions, save.unitsOwned, save.nextCosts);
+    // Restore upgrades and their effects
+    const upgradePositions = savedPositions(save.upgradeNames, upgradeDefinitions);
+    upgradeDefinitions.forEach((upg, i) => {
+      state.upgradesOwned[i] = toSaveNumber(save.upgradesOwned[upgradePositions[i]], 0);
+      state.upgradeCosts[i] = toSaveNumber(save.upgradeCosts[upgradePositions[i]], scaledCost(upg, state.upgradesOwned[i]));
+    });
+    state.detachedUpgrades = detachedEntries(save.upgradeNames, upgradeDefinitions, save.upgradesOwned, save.upgradeCosts);
+    clickUpgradeDefinitions.forEach((upg, i) => {
+      state.clickUpgradesOwned[i] = toSaveNumber(save.clickUpgradesOwned[i], 0);
+      state.clickUpgradeCosts[i] = toSaveNumber(save.clickUpgradeCosts[i], scaledCost(upg, state.clickUpgradesOwned[i]));
+    });
+    state.globalRateBonus = save.globalRateBonus;
+    state.globalTimeReduction = save.globalTimeReduction;
+    state.globalAnimalBonus = save.globalAnimalBonus;
+    state.coins = save.coins;
+    state.animalsSaved = save.animalsSaved;
+    // Restore the running mission and the mission board
+    state.currentMission = save.currentMission;
+    if (state.currentMission) {
+      const deployed = state.currentMission.deployed;
+      state.currentMission.deployed = state.unitDefinitions.map((unit, i) => deployed[unitPositions[i]] || 0);
+    }
+    state.missionTimeLeft = save.missionTimeLeft;
+    state.animalsAtRisk = save.animalsAtRisk;
+    state.totalAnimalsForMission = save.totalAnimalsForMission;
+    state.missionBoard = save.missionBoard;
+    state.boardRefreshAt = save.boardRefreshAt;
+    state.nextOfferId = save.nextOfferId;
+    state.missionSeed = save.missionSeed;
+    state.missionOutcomes = save.missionOutcomes;
+    state.lostAnimals = save.lostAnimals;
+    state.speciesRescued = save.speciesRescued;
+    state.firstRescuedAt = save.firstRescuedAt;
+    state.speciesHistory = save.speciesHistory;
+    state.failureStreaks = save.failureStreaks;
+    state.threatLevels = save.threatLevels;
+    state.lastOutcome = save.lastOutcome;
+    state.retryOffer = save.retryOffer;
+    state.missionHistory = save.missionHistory;
+    state.missionsCompleted = save.missionsCompleted;
+    // Restore species saved flags, keeping those of species this session
+    // does not know
+    save.speciesState.forEach(savedSp => {
+      const sp = state.speciesList.find(other => other.name === savedSp.name);
+      if (sp) {
+        sp.saved = !!savedSp.saved;
+      } else if (savedSp.saved) {
+        state.detachedSpecies.push({ name: savedSp.name, saved: true });
+      }
+    });
+    Object.assign(state.tasksCompleted, save.tasksCompleted);
+    state.lastDailyBonusDate = save.lastDailyBonusDate || null;
+    state.reserveCounts = save.reserveCounts;
+    // Restore achievements and questline
+    Object.assign(state.achievementsCompleted, save.achievementsCompleted);
+    state.achievementRateBonus = save.achievementRateBonus;
+    state.achievementTimeReduction = save.achievementTimeReduction;
+    state.achievementAnimalBonus = save.achievementAnimalBonus;
+    state.currentQuestStep = save.currentQuestStep;
+    Object.assign(state.questStepsClaimed, save.questStepsClaimed);
+    // Restore permit and prestige state
+    state.prestigeCount = save.prestigeCount;
+    state.permitsTotal = save.permitsTotal;
+    state.permitsAvailable = save.permitsAvailable;
+    state.lifetimeAnimalsSaved = save.lifetimeAnimalsSaved;
+    Object.assign(state.permitTree, save.permitTree);
+    state.activeEvent = save.activeEvent;
+    // Events saved before event goals existed get one from now on
+    if (state.activeEvent && !state.activeEvent.goal) {
+      state.activeEvent.goal = createEventGoal(state);
+    }
+    // Restore season totals and best record
+    state.seasonAnimalsSaved = save.seasonAnimalsSaved;
+    state.bestSeasonTotal = save.bestSeasonTotal;
+    // Recompute the bonuses derived from the restored progress
+    updateSpeciesBonuses(state);
+    applyPermitBonuses(state);
+    updateEventBonuses(state);
+    return state;
+  }
+
+  // ==== Game Store ====
+
+  /**
+   * Wrap a state in a store that notifies subscribers after every change.
+   * Listeners receive the state and a change description of the form
+   * { type, result, events }, where type is 'advance' or an action name.
+   * @param {Object} state
+   * @returns {{state: Object, subscribe: Function, dispatch: Function, advance: Function}}
+   */
+  function createGame(state) {
+    const listeners = [];
+    function notify(change) {
+      listeners.forEach(listener => listener(state, change));
+    }
+    return {
+      state: state,
+      // Register a listener; returns a function that removes it again
+      subscribe(listener) {
+        listeners.push(listener);
+        return () => {
+          const index = listeners.indexOf(listener);
+          if (index >= 0) listeners.splice(index, 1);
+        };
+      },
+      // Run the named action reducer with an optional payload
+      dispatch(type, payload) {
+        const reducer = actions[type];
+        if (!reducer) throw new Error(`Unknown action: ${type}`);
+        const events = [];
+        fitUpgrades(state);
+        const result = reducer(state, payload, events);
+        notify({ type: type, result: result, events: events });
+        return result;
+      },
+      advance(seconds) {
+        const events = advance(state, seconds);
+        notify({ type: 'advance', result: true, events: events });
+        return events;
+      }
+    };
+  }
+
+  return {
+    // Definitions
+    unitDefinitions: unitDefinitions,
+    UNIT_MILESTONES: UNIT_MILESTONES,
+    missionDefinitions: missionDefinitions,
+    speciesDefinitions: speciesDefinitions,
+    biomeDefinitions: biomeDefinitions,
+    BIOME_PACK_SCHEMA: BIOME_PACK_SCHEMA,
+    validateBiomePack: validateBiomePack,
+    registerBiomePack: registerBiomePack,
+    biomeUnlocked: biomeUnlocked,
+    permitTreeDefinitions: permitTreeDefinitions,
+    upgradeDefinitions: upgradeDefinitions,
+    clickUpgradeDefinitions: clickUpgradeDefinitions,
+    eventsList: eventsList,
+    achievements: achievements,
+    questSteps: questSteps,
+    tasks: tasks,
+    ANIMALS_PER_PERMIT: ANIMALS_PER_PERMIT,
+    DAILY_BONUS_COINS: DAILY_BONUS_COINS,
+    OFFLINE_CAP_SECONDS: OFFLINE_CAP_SECONDS,
+    MISSION_BOARD_REFRESH_SECONDS: MISSION_BOARD_REFRESH_SECONDS,
+    missionModifiers: missionModifiers,
+    SAVE_SCHEMA_VERSION: SAVE_SCHEMA_VERSION,
+    // State, time and actions
+    createState: createState,
+    createGame: createGame,
+    advance: advance,
+    actions: actions,
+    computeRescueRate: computeRescueRate,
+    computeMissionRate: computeMissionRate,
+    unitRate: unitRate,
+    deployedUnits: deployedUnits,
+    terrainMultiplier: terrainMultiplier,
+    unitMilestoneMultiplier: unitMilestoneMultiplier,
+    nextUnitMilestone: nextUnitMilestone,
+    bonusesFor: bonusesFor,
+    BUY_MAX: BUY_MAX,
+    quotePurchase: quotePurchase,
+    pendingPermits: pendingPermits,
+    prestigePreview: prestigePreview,
+    permitLevel: permitLevel,
+    permitEffect: permitEffect,
+    permitNodeCost: permitNodeCost,
+    permitNodeStatus: permitNodeStatus,
+    permitTreeRefund: permitTreeRefund,
+    biomeCost: biomeCost,
+    habitatCapacity: habitatCapacity,
+    MASTERY_TIERS: MASTERY_TIERS,
+    masteryTier: masteryTier,
+    nextMasteryTier: nextMasteryTier,
+    speciesEffectValue: speciesEffectValue,
+    speciesBiome: speciesBiome,
+    speciesGuide: speciesGuide,
+    populationGrowthRate: populationGrowthRate,
+    COMBO_WINDOW_MS: COMBO_WINDOW_MS,
+    clickPower: clickPower,
+    critChance: critChance,
+    comboMultiplier: comboMultiplier,
+    offlineCapSeconds: offlineCapSeconds,
+    collectOfflineEarnings: collectOfflineEarnings,
+    generateMission: generateMission,
+    missionStatistics: missionStatistics,
+    // Saves
+    migrateSave: migrateSave,
+    serializeState: serializeState,
+    restoreState: restoreState
+  };
+});
@@ -1,49 +1,27 @@
 /* Extinction Escape: Simple Idle Rescue Game
- * This script implements the core mechanics of a minimal idle game
+ * This script implements the browser interface of a minimal idle game
  * inspired by the Extinction Escape concept.  Players purchase rescue
  * units that automatically save animals over time, earning coins to
  * reinvest in more powerful units.  The economy and scaling follow
  * the values defined in the design document.
  */
 
-// Define the rescue units.  Each unit has a name, base cost, base
-// rescue rate (animals per minute) and a cost multiplier for scaling.
-const unitDefinitions = [
-  { name: 'Pickup Truck', baseCost: 50, baseRate: 1, costMultiplier: 1.15 },
-  { name: 'Boat', baseCost: 250, baseRate: 4, costMultiplier: 1.15 },
-  { name: 'Helicopter', baseCost: 1000, baseRate: 12, costMultiplier: 1.15 },
-  { name: 'Cargo Plane', baseCost: 5000, baseRate: 30, costMultiplier: 1.15 },
-  { name: 'Rescue Team', baseCost: 20000, baseRate: 75, costMultiplier: 1.15 },
-  { name: 'Supply Drop Drone', baseCost: 100000, baseRate: 200, costMultiplier: 1.15 }
-];
-
-// Game state
-let coins = 0;
-let animalsSaved = 0;
-const unitsOwned = unitDefinitions.map(() => 0);
-const nextCosts = unitDefinitions.map(unit => unit.baseCost);
-
-// Missions and safe haven definitions
-const missions = [
-  { name: 'Jungle Fire', duration: 120, baseRisk: 20, difficulty: 1.0, species: 'Koala' },
-  { name: 'Coastal Flood', duration: 150, baseRisk: 30, difficulty: 1.1, species: 'Sea Turtle' },
-  { name: 'Mountain Avalanche', duration: 90, baseRisk: 15, difficulty: 1.3, species: 'Panda' },
-  { name: 'Arctic Ice Break', duration: 180, baseRisk: 25, difficulty: 1.2, species: 'Penguin' }
-];
-
-// Species definitions. Each species grants a bonus when rescued.
-// effectType can be 'rate', 'time', or 'animals'.
-// effectValue is applied as a percentage (e.g., 0.02 = 2%).
-const speciesList = [
-  { name: 'Koala', saved: false, bonus: '+2% fire rescue speed', effectType: 'time', effectValue: 0.02 },
-  { name: 'Panda', saved: false, bonus: '+5% food gathering speed', effectType: 'rate', effectValue: 0.05 },
-  { name: 'Sea Turtle', saved: false, bonus: '+5% boat rescue capacity', effectType: 'rate', effectValue: 0.05 },
-  { name: 'Tiger', saved: false, bonus: '+10% ground rescue speed', effectType: 'rate', effectValue: 0.10 },
-  { name: 'Penguin', saved: false, bonus: '+5% ice terrain speed', effectType: 'time', effectValue: 0.05 },
-  { name: 'Elephant', saved: false, bonus: '+15% vehicle capacity', effectType: 'animals', effectValue: 0.15 },
-  { name: 'Parrot', saved: false, bonus: '+3% fuel gathering', effectType: 'rate', effectValue: 0.03 },
-  { name: 'Dolphin', saved: false, bonus: '+10% boat speed', effectType: 'rate', effectValue: 0.10 }
-];
+// The game rules, definitions and save migrations live in engine.js, which
+// exposes them as EscapeEngine.  This script renders the game state, wires
+// up the controls and handles storage, profiles and sharing.
+const {
+  biomeDefinitions,
+  permitTreeDefinitions,
+  upgradeDefinitions,
+  clickUpgradeDefinitions,
+  achievements,
+  questSteps,
+  tasks
+} = EscapeEngine;
+
+// The running game: the engine state wrapped in a store that notifies the UI
+// after every change.  Created by loadGame() during init().
+let game = null;
 
 // Map species names to colors for reserve visualization
 const speciesColors = {
@@ -61,19 +39,55 @@ const speciesColors = {
 // normalized (0–1) coordinate pairs on the canvas.  These values were chosen
 // to loosely evoke different biomes (coast, jungle, savanna, etc.) and can be
 // extended when new biomes are unlocked.  If a species is not present in
-// this map it will default to the middle of the canvas.
+// this map it will default to the middle of the canvas.  `area` names the
+// cluster in the map tooltip and `level` is the Map Upgrade level that
+// reveals it.
 const speciesCenters = {
-  'Koala':    [{ x: 0.80, y: 0.65 }],           // bushland
-  'Panda':    [{ x: 0.62, y: 0.30 }],           // mountains
-  'Sea Turtle':[{ x: 0.25, y: 0.72 }],          // coastline
-  'Tiger':    [{ x: 0.72, y: 0.42 }],           // jungle
-  'Penguin':  [{ x: 0.18, y: 0.80 }],           // icy coast
-  'Elephant': [{ x: 0.58, y: 0.50 }],           // savanna
-  'Parrot':   [{ x: 0.70, y: 0.58 }],           // rainforest edge
-  'Dolphin':  [{ x: 0.22, y: 0.68 }],           // open water
-  // Additional species (e.g., from biomes) will be added in unlockBiome().
+  'Koala':    [{ x: 0.80, y: 0.65, area: 'Bushland', level: 1 }],
+  'Panda':    [{ x: 0.62, y: 0.30, area: 'Mountains', level: 1 }],
+  'Sea Turtle':[{ x: 0.25, y: 0.72, area: 'Coastline', level: 2 }],
+  'Tiger':    [{ x: 0.72, y: 0.42, area: 'Jungle', level: 1 }],
+  'Penguin':  [{ x: 0.18, y: 0.80, area: 'Icy Coast', level: 2 }],
+  'Elephant': [{ x: 0.58, y: 0.50, area: 'Savanna', level: 1 }],
+  'Parrot':   [{ x: 0.70, y: 0.58, area: 'Rainforest Edge', level: 3 }],
+  'Dolphin':  [{ x: 0.22, y: 0.68, area: 'Open Water', level: 3 }],
+  // Additional species (e.g., from biomes) are added in applyBiomeVisuals().
 };
 
+// Land regions of the reserve map in normalized (0–1) coordinates.  Each
+// Map Upgrade level reveals the regions of that level; the rest are drawn
+// as uncharted outlines.
+const mapRegions = [
+  // Main continent: an irregular shape wrapping across much of the canvas
+  {
+    name: 'Mainland',
+    level: 1,
+    polygon: [
+      { x: 0.05, y: 0.60 }, { x: 0.10, y: 0.45 }, { x: 0.18, y: 0.28 }, { x: 0.30, y: 0.20 },
+      { x: 0.47, y: 0.23 }, { x: 0.60, y: 0.18 }, { x: 0.75, y: 0.10 }, { x: 0.88, y: 0.25 },
+      { x: 0.95, y: 0.45 }, { x: 0.85, y: 0.65 }, { x: 0.70, y: 0.75 }, { x: 0.52, y: 0.83 },
+      { x: 0.32, y: 0.85 }, { x: 0.15, y: 0.78 }
+    ]
+  },
+  {
+    name: 'Southern Isle',
+    level: 2,
+    polygon: [
+      { x: 0.18, y: 0.80 }, { x: 0.25, y: 0.74 }, { x: 0.35, y: 0.77 }, { x: 0.32, y: 0.88 }
+    ]
+  },
+  {
+    name: 'Eastern Isle',
+    level: 3,
+    polygon: [
+      { x: 0.78, y: 0.70 }, { x: 0.82, y: 0.66 }, { x: 0.90, y: 0.70 }, { x: 0.87, y: 0.78 }
+    ]
+  }
+];
+
+// Map Upgrade level that reveals the species areas of biome packs
+const BIOME_AREA_MAP_LEVEL = 4;
+
 // Offscreen canvas for painting the landmass background in the reserve view.
 let landCanvas = null;
 let landCtx = null;
@@ -81,17 +95,14 @@ let landCtx = null;
 // Frame counter used for gentle drift animation of reserve dots.
 let reserveFrame = 0;
 
-// Reserve state: counts per species and runtime dot positions
-let reserveCounts = {};
+// Reserve runtime dot positions per species (counts live in the game state)
 let reserveDots = {};
 
 // ==== Leaderboard / Season Tracking ====
-// Count of animals saved in the current season. A "season" spans from one prestige
-// reset to the next. Each time the player prestiges, seasonAnimalsSaved is reset
-// and bestSeasonTotal is updated if this season's total exceeds it.  bestSeasonTotal
-// persists across sessions and is used to display the player’s highest season total.
-let seasonAnimalsSaved = 0;
-let bestSeasonTotal = 0;
+// A "season" spans from one prestige reset to the next.  The game state counts
+// the animals saved this season (seasonAnimalsSaved) and keeps the best season
+// total (bestSeasonTotal), which persists across sessions and is shown in the
+// Sanctuary view.
 
 // Unique identifier for this player. Used to generate friend codes.  If
 // undefined on load, a random ID is created and stored in localStorage.
@@ -115,81 +126,12 @@ let tipLink = '';
 function updateSeasonStatsUI() {
   const seasonStatsEl = document.getElementById('season-stats');
   if (seasonStatsEl) {
-    const current = Math.floor(seasonAnimalsSaved);
-    const best = Math.floor(bestSeasonTotal);
+    const current = formatNumber(game.state.seasonAnimalsSaved);
+    const best = formatNumber(game.state.bestSeasonTotal);
     seasonStatsEl.textContent = `Season saved: ${current} (Best: ${best})`;
   }
 }
 
-// ==== Biome System ====
-// Definitions for unlockable biomes. Each biome costs a certain number of permits
-// and introduces new species, their bonuses, colors, optional species center positions,
-// new rescue units, missions and land shapes. Additional fields can be extended in the future.
-const biomeDefinitions = [
-  {
-    id: 'savannah',
-    name: 'Savannah',
-    cost: 3,
-    species: [
-      { name: 'Giraffe', bonus: '+8% ground rescue speed', effectType: 'rate', effectValue: 0.08 },
-      { name: 'Zebra', bonus: '+5% animals per mission', effectType: 'animals', effectValue: 0.05 },
-      { name: 'Rhinoceros', bonus: '-5% mission time', effectType: 'time', effectValue: 0.05 }
-    ],
-    speciesColors: {
-      'Giraffe': '#fdd835',
-      'Zebra': '#d1c4e9',
-      'Rhinoceros': '#8d6e63'
-    },
-    // Reserve positions for species centers (currently unused in this version)
-    speciesCenters: {
-      'Giraffe': [ { x: 0.45, y: 0.25 } ],
-      'Zebra': [ { x: 0.60, y: 0.20 } ],
-      'Rhinoceros': [ { x: 0.52, y: 0.15 } ]
-    },
-    units: [
-      { name: 'Safari Jeep', baseCost: 2000, baseRate: 15, costMultiplier: 1.15 },
-      { name: 'Off-Road Truck', baseCost: 10000, baseRate: 40, costMultiplier: 1.15 }
-    ]
-  }
-];
-
-// Track which biomes have been unlocked
-const biomesUnlocked = {};
-
-// ==== Permits and World Events ====
-// Prestige system variables. Players earn permits based on lifetime animals saved
-// (1 permit per 1000 animals saved). Permits can be spent on permanent upgrades.
-let permitsTotal = 0;       // total permits ever earned across all runs
-let permitsAvailable = 0;   // permits not yet spent
-let lifetimeAnimalsSaved = 0; // animals saved across all reserves (including current run)
-// Track purchased permit upgrades by type (rate, animals, time, map)
-const permitUpgrades = { rate: 0, animals: 0, time: 0, map: 0 };
-// Bonuses granted by permits (computed from permitUpgrades)
-let permitRateBonus = 0;
-let permitAnimalBonus = 0;
-let permitTimeReduction = 0;
-// Permit upgrade definitions (effect values are additive percentages)
-const permitUpgradeDefinitions = [
-  { name: 'Rate Boost', effectType: 'rate', effectValue: 0.05, baseCost: 1, costMultiplier: 2 },
-  { name: 'Animal Boost', effectType: 'animals', effectValue: 0.10, baseCost: 1, costMultiplier: 2 },
-  { name: 'Time Reduction', effectType: 'time', effectValue: 0.05, baseCost: 1, costMultiplier: 2 },
-  { name: 'Map Upgrade', effectType: 'map', effectValue: 0, baseCost: 1, costMultiplier: 2 }
-];
-// Track next cost for each permit upgrade
-const permitUpgradeCosts = permitUpgradeDefinitions.map(def => def.baseCost);
-
-// World events definitions. Each event lasts for several hours and grants temporary modifiers.
-const eventsList = [
-  { id: 'flood', name: 'Coastal Flood', duration: 7200, rateBonus: 0.20, animalBonus: 0.10, timeReduction: 0 },
-  { id: 'wildfire', name: 'Wildfire', duration: 7200, rateBonus: 0.15, animalBonus: 0, timeReduction: 0.10 },
-  { id: 'ice', name: 'Ice Melt', duration: 7200, rateBonus: 0, animalBonus: 0, timeReduction: 0.20 },
-  { id: 'storm', name: 'Storm Season', duration: 7200, rateBonus: 0.10, animalBonus: 0.05, timeReduction: 0.05 }
-];
-// Current active event and its modifiers (set in initEvent/startNewEvent)
-let activeEvent = null;
-let eventRateBonus = 0;
-let eventAnimalBonus = 0;
-let eventTimeReduction = 0;
 // Canvas references for reserve view
 let reserveCanvas = null;
 let reserveCtx = null;
@@ -210,107 +152,6 @@ let dioramaAnchors = {};
 // and is rebuilt whenever counts change or the canvas is resized.
 let dioramaClusters = {};
 
-// Upgrade definitions
-// Each upgrade has a name, effect type (rate, animals, time) and effect value,
-// as well as a base cost and cost multiplier for exponential scaling.
-const upgradeDefinitions = [
-  { name: 'Faster Engines', effectType: 'rate', effectValue: 0.10, baseCost: 500, costMultiplier: 1.25 },
-  { name: 'Rescue Crates', effectType: 'animals', effectValue: 0.05, baseCost: 1500, costMultiplier: 1.25 },
-  { name: 'GPS Tracking', effectType: 'time', effectValue: 0.05, baseCost: 5000, costMultiplier: 1.30 },
-  { name: 'Animal Care Kit', effectType: 'animals', effectValue: 0.05, baseCost: 10000, costMultiplier: 1.30 },
-  { name: 'Emergency Sirens', effectType: 'rate', effectValue: 0.10, baseCost: 25000, costMultiplier: 1.40 }
-];
-
-// Track how many of each upgrade has been purchased and the next cost
-const upgradesOwned = upgradeDefinitions.map(() => 0);
-const upgradeCosts = upgradeDefinitions.map(upg => upg.baseCost);
-
-// Global modifiers applied by upgrades
-let globalRateBonus = 0;      // sum of rate bonuses
-let globalTimeReduction = 0;  // sum of time reductions (percentage)
-let globalAnimalBonus = 0;    // sum of animal bonuses (percentage)
-
-// Daily bonus tracking
-let lastDailyBonusDate = null;
-
-// ==== Achievements and Questline System ====
-// Define a set of achievements. Each achievement has an id, a description,
-// a check function to determine if it's complete, a reward type and reward value.
-// Reward types can be 'coins', 'rate', 'time', 'animals'.
-const achievements = [
-  { id: 'save100', description: 'Save 100 animals', check: () => lifetimeAnimalsSaved >= 100, rewardType: 'coins', rewardValue: 100 },
-  { id: 'own10Units', description: 'Own 10 rescue units', check: () => unitsOwned.reduce((a, b) => a + b, 0) >= 10, rewardType: 'rate', rewardValue: 0.02 },
-  { id: 'complete5Missions', description: 'Complete 5 missions', check: () => missionsCompleted >= 5, rewardType: 'animals', rewardValue: 0.05 },
-  { id: 'saveAllSpecies', description: 'Save all species', check: () => speciesList.every(sp => sp.saved), rewardType: 'time', rewardValue: 0.05 },
-  { id: 'earn1Permit', description: 'Earn 1 permit', check: () => permitsTotal >= 1, rewardType: 'coins', rewardValue: 200 }
-];
-// Track which achievements have been completed
-const achievementsCompleted = {};
-// Bonus accumulators from achievements
-let achievementRateBonus = 0;
-let achievementTimeReduction = 0;
-let achievementAnimalBonus = 0;
-
-// Questline: "Rebuild the Reef" with ordered steps. Each step has a description,
-// a check function to determine completion, a reward type and value.
-const questSteps = [
-  { description: 'Save 50 animals', check: () => lifetimeAnimalsSaved >= 50, rewardType: 'coins', rewardValue: 100 },
-  { description: 'Own 2 Boats', check: () => unitsOwned[1] >= 2, rewardType: 'coins', rewardValue: 200 },
-  { description: 'Save 5 Sea Turtles', check: () => (reserveCounts['Sea Turtle'] || 0) >= 5, rewardType: 'rate', rewardValue: 0.02 },
-  { description: 'Own 1 Helicopter', check: () => unitsOwned[2] >= 1, rewardType: 'permit', rewardValue: 1 },
-  { description: 'Save 100 animals', check: () => lifetimeAnimalsSaved >= 100, rewardType: 'animals', rewardValue: 0.05 }
-];
-// Current quest step index (0-based). If equals questSteps.length, quest is complete.
-let currentQuestStep = 0;
-// Track whether each quest step has been claimed
-const questStepsClaimed = {};
-
-// Onboarding tasks with simple completion checks
-const tasks = [
-  { id: 'save10', description: 'Save 10 animals', check: () => animalsSaved >= 10 },
-  { id: 'buyPickup', description: 'Buy a Pickup Truck', check: () => unitsOwned[0] >= 1 },
-  { id: 'completeMission1', description: 'Complete your first mission', check: () => missionsCompleted >= 1 }
-];
-const tasksCompleted = {};
-
-// Mission runtime state
-let currentMissionIndex = 0;
-let missionActive = false;
-let missionTimeLeft = 0;
-let animalsAtRisk = 0;
-let totalAnimalsForMission = 0;
-let missionsCompleted = 0;
-
-// Species bonus accumulators
-let speciesRateBonus = 0;
-let speciesTimeReduction = 0;
-let speciesAnimalBonus = 0;
-
-// Compute species bonuses based on saved species
-function updateSpeciesBonuses() {
-  speciesRateBonus = 0;
-  speciesTimeReduction = 0;
-  speciesAnimalBonus = 0;
-  speciesList.forEach(sp => {
-    if (sp.saved) {
-      if (sp.effectType === 'rate') {
-        speciesRateBonus += sp.effectValue;
-      } else if (sp.effectType === 'time') {
-        speciesTimeReduction += sp.effectValue;
-      } else if (sp.effectType === 'animals') {
-        speciesAnimalBonus += sp.effectValue;
-      }
-    }
-  });
-  // Cap time reduction at 0.9 to prevent negative durations
-  if (speciesTimeReduction + globalTimeReduction > 0.9) {
-    const excess = speciesTimeReduction + globalTimeReduction - 0.9;
-    // Reduce speciesTimeReduction proportionally to fit
-    speciesTimeReduction -= excess;
-    if (speciesTimeReduction < 0) speciesTimeReduction = 0;
-  }
-}
-
 // ----- Sanctuary (Diorama and Cards) functions -----
 
 /**
@@ -325,10 +166,10 @@ function computeDioramaAnchors() {
   dioramaAnchors = {};
   // Determine the set of all species present.  Use speciesList to get the
   // canonical ordering of species (including those unlocked via biomes).
-  const allSpecies = speciesList.map(sp => sp.name);
+  const allSpecies = game.state.speciesList.map(sp => sp.name);
   // In case additional species exist in reserveCounts that are not in
   // speciesList (e.g., from older saves), include them as well.
-  Object.keys(reserveCounts).forEach(spName => {
+  Object.keys(game.state.reserveCounts).forEach(spName => {
     if (!allSpecies.includes(spName)) {
       allSpecies.push(spName);
     }
@@ -357,6 +198,7 @@ function computeDioramaAnchors() {
 function rebuildDioramaClusters() {
   dioramaClusters = {};
   if (!dioramaCanvas) return;
+  const reserveCounts = game.state.reserveCounts;
   // Total number of animals across species
   let total = 0;
   Object.keys(reserveCounts).forEach(sp => {
@@ -478,12 +320,12 @@ function drawDiorama() {
     const anchor = dioramaAnchors[species] || { x: 0.5, y: 0.6 };
     const ax = anchor.x * w;
     const ay = anchor.y * h;
-    const count = reserveCounts[species] || 0;
+    const count = game.state.reserveCounts[species] || 0;
     ctx.font = '12px Arial';
     ctx.fillStyle = '#333';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText(`${species}: ${count}`, ax, ay + 10);
+    ctx.fillText(`${species}: ${formatNumber(count)}`, ax, ay + 10);
   });
   // Loop animation
   requestAnimationFrame(drawDiorama);
@@ -567,8 +409,8 @@ function initCards() {
   // Clear existing cards
   container.innerHTML = '';
   // Build a combined list of species from speciesList and reserveCounts
-  const allSpecies = speciesList.map(sp => sp.name);
-  Object.keys(reserveCounts).forEach(spName => {
+  const allSpecies = game.state.speciesList.map(sp => sp.name);
+  Object.keys(game.state.reserveCounts).forEach(spName => {
     if (!allSpecies.includes(spName)) {
       allSpecies.push(spName);
     }
@@ -578,6 +420,11 @@ function initCards() {
   allSpecies.forEach(spName => {
     const card = document.createElement('div');
     card.className = 'card';
+    // Cards of known species open their field guide entry
+    if (game.state.speciesList.some(sp => sp.name === spName)) {
+      card.classList.add('clickable');
+      card.addEventListener('click', () => showSpeciesGuide(spName));
+    }
     const icon = document.createElement('div');
     icon.className = 'card-icon';
     icon.style.backgroundColor = speciesColors[spName] || '#ccc';
@@ -587,10 +434,24 @@ function initCards() {
     const countEl = document.createElement('div');
     countEl.className = 'card-count';
     countEl.textContent = 'Saved: 0';
+    // Animals lost on failed or partial missions and the species' threat level
+    const lossEl = document.createElement('div');
+    lossEl.className = 'card-loss';
+    // Breeding rate and habitat capacity
+    const growthEl = document.createElement('div');
+    growthEl.className = 'card-growth';
+    // Mastery tier, progress to the next tier and the bonus it gives now
+    const masteryEl = document.createElement('div');
+    masteryEl.className = 'card-mastery';
+    const masteryBar = document.createElement('div');
+    masteryBar.className = 'progress-bar card-mastery-bar';
+    const masteryFill = document.createElement('div');
+    masteryFill.className = 'card-mastery-fill';
+    masteryBar.appendChild(masteryFill);
     const bonusEl = document.createElement('div');
     bonusEl.className = 'card-bonus';
     // Find bonus from speciesList
-    const spDef = speciesList.find(sp => sp.name === spName);
+    const spDef = game.state.speciesList.find(sp => sp.name === spName);
     if (spDef) {
       bonusEl.textContent = spDef.bonus;
     } else {
@@ -599,9 +460,16 @@ function initCards() {
     card.appendChild(icon);
     card.appendChild(title);
     card.appendChild(countEl);
+    card.appendChild(lossEl);
+    card.appendChild(growthEl);
+    card.appendChild(masteryEl);
+    card.appendChild(masteryBar);
     card.appendChild(bonusEl);
     container.appendChild(card);
-    cardElements[spName] = { card: card, countEl: countEl, icon: icon, title: title };
+    cardElements[spName] = {
+      card: card, countEl: countEl, lossEl: lossEl, growthEl: growthEl,
+      masteryEl: masteryEl, masteryFill: masteryFill, icon: icon, title: title
+    };
   });
   // Update counts and locked status after building cards
   updateCards();
@@ -620,9 +488,17 @@ function updateCards() {
   Object.keys(cardElements).forEach(spName => {
     const elem = cardElements[spName];
     if (!elem) return;
-    const count = reserveCounts[spName] || 0;
+    const count = game.state.reserveCounts[spName] || 0;
     // Update count text
-    elem.countEl.textContent = `Saved: ${count}`;
+    elem.countEl.textContent = `Saved: ${formatNumber(count)}`;
+    const lost = game.state.lostAnimals[spName] || 0;
+    const threat = game.state.threatLevels[spName] || 0;
+    const lossParts = [];
+    if (lost > 0) lossParts.push(`Lost: ${formatNumber(lost)}`);
+    if (threat > 0) lossParts.push(`Threat ${threat}`);
+    elem.lossEl.textContent = lossParts.join(' • ');
+    updateCardGrowth(elem, spName, count);
+    updateCardMastery(elem, spName);
     // Determine if species is unlocked (count > 0)
     if (count > 0) {
       elem.card.classList.remove('locked');
@@ -632,13 +508,155 @@ function updateCards() {
     // Ensure the icon color matches species color (for new species)
     elem.icon.style.backgroundColor = speciesColors[spName] || '#ccc';
     // Update bonus text if species exists in speciesList
-    const spDef = speciesList.find(sp => sp.name === spName);
+    const spDef = game.state.speciesList.find(sp => sp.name === spName);
     if (spDef) {
       elem.card.querySelector('.card-bonus').textContent = spDef.bonus || '';
     }
   });
 }
 
+// Show a species' breeding rate and how full its habitat is
+function updateCardGrowth(elem, spName, count) {
+  const capacity = EscapeEngine.habitatCapacity(spName);
+  const growth = EscapeEngine.populationGrowthRate(game.state, spName);
+  let status;
+  if (count >= capacity) {
+    status = 'Overcrowded';
+  } else if (growth > 0) {
+    status = `Growth: +${formatNumber(growth, 1)}/h`;
+  } else {
+    status = count > 0 ? 'Needs a pair to breed' : 'Not yet rescued';
+  }
+  elem.growthEl.textContent = `${status} • Habitat: ${formatNumber(count)}/${formatNumber(capacity)}`;
+  elem.growthEl.classList.toggle('overcrowded', count >= capacity);
+}
+
+// Name of a species' mastery tier, e.g. "Gold mastery", or "No mastery yet"
+function masteryLabel(spName) {
+  const tier = EscapeEngine.masteryTier(game.state.speciesRescued[spName] || 0);
+  return tier ? `${tier.name} mastery` : 'No mastery yet';
+}
+
+// Show a species' mastery tier, progress to the next tier and current bonus
+function updateCardMastery(elem, spName) {
+  const rescued = game.state.speciesRescued[spName] || 0;
+  const tier = EscapeEngine.masteryTier(rescued);
+  const next = EscapeEngine.nextMasteryTier(rescued);
+  const parts = [masteryLabel(spName)];
+  const spDef = game.state.speciesList.find(sp => sp.name === spName);
+  if (spDef) {
+    const sign = spDef.effectType === 'time' ? '-' : '+';
+    parts.push(`Bonus ${sign}${formatNumber(EscapeEngine.speciesEffectValue(game.state, spDef) * 100, 1)}%`);
+  }
+  if (next) {
+    const start = tier ? tier.rescued : 0;
+    parts.push(`${next.name} at ${formatNumber(next.rescued)} rescued`);
+    elem.masteryFill.style.width = `${Math.round((rescued - start) / (next.rescued - start) * 100)}%`;
+  } else {
+    elem.masteryFill.style.width = '100%';
+  }
+  elem.masteryEl.textContent = parts.join(' • ');
+  elem.card.dataset.mastery = tier ? tier.name.toLowerCase() : '';
+}
+
+// ---- Species Field Guide ----
+
+// Size of the saved-count chart in the field guide, in pixels
+const GUIDE_CHART_WIDTH = 320;
+const GUIDE_CHART_HEIGHT = 80;
+
+// Describe a species bonus value, e.g. "+15% rescue rate (water units)"
+function describeSpeciesBonus(bonus) {
+  const sign = bonus.effectType === 'time' ? '-' : '+';
+  const what = bonus.effectType === 'rate' ? 'rescue rate' : bonus.effectType === 'time' ? 'mission time' : 'animals per mission';
+  const scope = bonus.tag ? ` (${bonus.tag} ${bonus.effectType === 'rate' ? 'units' : 'missions'})` : '';
+  return `${sign}${formatNumber(bonus.value * 100, 1)}% ${what}${scope}`;
+}
+
+// Chart the rescued total of a species after each mission as an SVG line
+function createGuideChart(history) {
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('class', 'guide-chart');
+  svg.setAttribute('width', GUIDE_CHART_WIDTH);
+  svg.setAttribute('height', GUIDE_CHART_HEIGHT);
+  svg.setAttribute('viewBox', `0 0 ${GUIDE_CHART_WIDTH} ${GUIDE_CHART_HEIGHT}`);
+  const first = history[0].at;
+  const span = Math.max(1, history[history.length - 1].at - first);
+  const max = Math.max(1, history[history.length - 1].rescued);
+  const points = history.map((point, i) => {
+    const x = history.length === 1 ? GUIDE_CHART_WIDTH / 2 : (point.at - first) / span * (GUIDE_CHART_WIDTH - 4) + 2;
+    const y = GUIDE_CHART_HEIGHT - 2 - point.rescued / max * (GUIDE_CHART_HEIGHT - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  const line = document.createElementNS(svgNS, 'polyline');
+  line.setAttribute('points', points.join(' '));
+  svg.appendChild(line);
+  return svg;
+}
+
+/**
+ * Open the field guide entry of a species: its description and
+ * conservation status, where it is rescued, its saved-count history and the
+ * bonus it adds to the game right now.
+ * @param {string} spName Species name
+ */
+function showSpeciesGuide(spName) {
+  const guide = EscapeEngine.speciesGuide(game.state, spName);
+  if (!guide) return;
+  const body = document.createElement('div');
+  body.className = 'species-guide';
+  const status = document.createElement('p');
+  status.className = 'guide-status';
+  status.textContent = `Conservation status: ${guide.status}`;
+  body.appendChild(status);
+  const description = document.createElement('p');
+  description.textContent = guide.description;
+  body.appendChild(description);
+
+  const list = document.createElement('ul');
+  list.className = 'report-list';
+  addReportRow(list, 'Habitat', guide.biome || 'Starting reserve');
+  addReportRow(list, 'Rescued on', guide.missions.join(', '));
+  addReportRow(list, 'Rescued in total', formatNumber(guide.rescued));
+  addReportRow(list, 'Mastery', masteryLabel(spName));
+  addReportRow(list, 'First rescue', guide.firstRescuedAt ? new Date(guide.firstRescuedAt).toLocaleString()
+    : guide.rescued > 0 ? 'Before records began' : 'Not yet rescued');
+  body.appendChild(list);
+
+  const bonusHeading = document.createElement('h3');
+  bonusHeading.className = 'report-heading';
+  bonusHeading.textContent = 'Bonus';
+  body.appendChild(bonusHeading);
+  const bonusList = document.createElement('ul');
+  bonusList.className = 'report-list';
+  const bonus = guide.bonus;
+  addReportRow(bonusList, describeSpeciesBonus(bonus), bonus.active ? 'active' : 'rescue one to activate');
+  if (bonus.active) {
+    const scope = bonus.tag ? `${bonus.tag} ${bonus.effectType} bonuses` : `species ${bonus.effectType} bonuses`;
+    addReportRow(bonusList, `Share of all ${scope}`, `${Math.round(bonus.share * 100)}%`);
+    if (bonus.effectType === 'rate') {
+      addReportRow(bonusList, 'Adds to rescue rate', `${formatNumber(bonus.rate, 2)} animals/sec`);
+    }
+  }
+  body.appendChild(bonusList);
+
+  const historyHeading = document.createElement('h3');
+  historyHeading.className = 'report-heading';
+  historyHeading.textContent = 'Saved over time';
+  body.appendChild(historyHeading);
+  if (guide.history.length > 0) {
+    body.appendChild(createGuideChart(guide.history));
+  }
+  const historyNote = document.createElement('p');
+  historyNote.className = 'report-note';
+  historyNote.textContent = guide.history.length > 0
+    ? `Rescued total after each of the last ${formatNumber(guide.history.length)} missions.`
+    : 'Rescue missions for this species will be charted here.';
+  body.appendChild(historyNote);
+  openModal(spName, body, [{ label: 'Close', onClick: closeModal }]);
+}
+
 /**
  * Save the diorama as a PNG image.  Uses the canvas toBlob API and triggers
  * a download.  The filename includes a timestamp for convenience.
@@ -659,12 +677,190 @@ function saveDioramaImage() {
   }
 }
 
+// ==== Number Formatting ====
+// Every number shown to the player goes through formatNumber() so that late
+// game values stay readable.  The notation is chosen by the player and kept
+// per profile.
+
+// Notations offered in the number format selector
+const NUMBER_FORMATS = [
+  { id: 'short', name: 'Short (1.23M)' },
+  { id: 'scientific', name: 'Scientific (1.23e6)' },
+  { id: 'engineering', name: 'Engineering (1.23e6, 12.3e6)' }
+];
+
+// Suffixes for thousands, millions, billions and trillions.  Larger values
+// continue with two-letter suffixes: aa, ab, ... az, ba, ...
+const NUMBER_SUFFIXES = ['', 'K', 'M', 'B', 'T'];
+
+// Currently selected notation (see NUMBER_FORMATS)
+let numberFormat = 'short';
+
+// Suffix for a power of one thousand, e.g. 2 -> 'M', 5 -> 'aa'
+function numberSuffix(tier) {
+  if (tier < NUMBER_SUFFIXES.length) return NUMBER_SUFFIXES[tier];
+  const index = tier - NUMBER_SUFFIXES.length;
+  const first = String.fromCharCode(97 + Math.floor(index / 26) % 26);
+  const second = String.fromCharCode(97 + index % 26);
+  return first + second;
+}
+
+// Show a mantissa with three significant digits, e.g. 1.23, 12.3, 123
+function formatMantissa(mantissa) {
+  const digits = mantissa < 10 ? 2 : mantissa < 100 ? 1 : 0;
+  return mantissa.toFixed(digits);
+}
+
+/**
+ * Format a number for display in the selected notation.  Values below one
+ * thousand are shown in full with the given number of decimals; larger
+ * values use suffixes, scientific or engineering notation with three
+ * significant digits.
+ * @param {number} value
+ * @param {number} [decimals=0] Decimals shown for values below one thousand
+ * @returns {string}
+ */
+function formatNumber(value, decimals = 0) {
+  if (typeof value !== 'number' || !isFinite(value)) return String(value);
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  if (abs < 1000) {
+    // Truncate rather than round so that 999.96 coins never reads as 1000.0
+    const factor = Math.pow(10, decimals);
+    return sign + (Math.floor(abs * factor) / factor).toFixed(decimals);
+  }
+  let exponent = Math.floor(Math.log10(abs));
+  // Guard against log10 rounding just below a power of ten
+  if (Math.pow(10, exponent + 1) <= abs) exponent += 1;
+  if (numberFormat === 'scientific') {
+    let mantissa = abs / Math.pow(10, exponent);
+    if (Number(mantissa.toFixed(2)) >= 10) {
+      mantissa /= 10;
+      exponent += 1;
+    }
+    return `${sign}${mantissa.toFixed(2)}e${exponent}`;
+  }
+  let tier = Math.floor(exponent / 3);
+  let mantissa = abs / Math.pow(1000, tier);
+  // Rounding can carry into the next tier (999.6K -> 1.00M)
+  if (Number(formatMantissa(mantissa)) >= 1000) {
+    tier += 1;
+    mantissa /= 1000;
+  }
+  if (numberFormat === 'engineering') {
+    return `${sign}${formatMantissa(mantissa)}e${tier * 3}`;
+  }
+  return sign + formatMantissa(mantissa) + numberSuffix(tier);
+}
+
+// Load the number format for the active profile
+function loadNumberFormat() {
+  try {
+    const saved = localStorage.getItem(profileStorageKey(NUMBER_FORMAT_KEY));
+    if (saved && NUMBER_FORMATS.some(f => f.id === saved)) {
+      numberFormat = saved;
+    }
+  } catch (e) {
+    console.error('Failed to read number format from storage:', e);
+  }
+}
+
+// Fill the number format selector and re-render when it changes
+function initNumberFormatUI() {
+  const select = document.getElementById('number-format-select');
+  if (!select) return;
+  NUMBER_FORMATS.forEach(format => {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.name;
+    select.appendChild(option);
+  });
+  select.value = numberFormat;
+  select.addEventListener('change', () => {
+    numberFormat = select.value;
+    try {
+      localStorage.setItem(profileStorageKey(NUMBER_FORMAT_KEY), numberFormat);
+    } catch (e) {
+      console.error('Failed to save number format:', e);
+    }
+    onGameChange(game.state, { type: 'numberFormat', result: true, events: [] });
+  });
+}
+
+// ==== Modal Dialog ====
+// A single modal dialog is shared by reports and confirmations.  Its content
+// is rebuilt each time it opens.
+
+/**
+ * Open the modal dialog.  Any dialog that is already open is replaced.
+ * @param {string} title Heading of the dialog
+ * @param {Node} body Content of the dialog
+ * @param {Array<{label: string, className?: string, onClick: Function}>} actions
+ *   Buttons shown below the content, in order.  Each handler receives the
+ *   clicked button and is responsible for closing the dialog.
+ */
+function openModal(title, body, actions) {
+  const overlay = document.getElementById('modal-overlay');
+  if (!overlay) return;
+  document.getElementById('modal-title').textContent = title;
+  const bodyEl = document.getElementById('modal-body');
+  bodyEl.innerHTML = '';
+  bodyEl.appendChild(body);
+  const actionsEl = document.getElementById('modal-actions');
+  actionsEl.innerHTML = '';
+  actions.forEach(action => {
+    const btn = document.createElement('button');
+    btn.className = `modal-button ${action.className || ''}`.trim();
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => action.onClick(btn));
+    actionsEl.appendChild(btn);
+  });
+  overlay.classList.remove('hidden');
+}
+
+// Close the modal dialog
+function closeModal() {
+  const overlay = document.getElementById('modal-overlay');
+  if (overlay) overlay.classList.add('hidden');
+}
+
 // ==== Changelog Management ====
 
 // Entries for the changelog.  Each entry lists a version, an optional release
 // date string and an array of change descriptions.  Add new entries at the
 // beginning of the array so the most recent version appears first.
 const changelogEntries = [
+  {
+    version: 'v0.8.0',
+    date: 'Unreleased',
+    changes: [
+      'Saves now carry a schema version and older saves are upgraded step by step instead of being dropped.',
+      'Added Export Save and Import Save to back up or move the whole game as a file.',
+      'Added player profiles so several people can keep their own game on one device.',
+      'Moved the game rules into a separate engine so the simulation can run and be checked outside the browser.',
+      'Added a "While you were away" report showing time away, earnings, mission progress and event changes, with a claim button.',
+      'Time away now plays out missions, species rescues and world event rotations instead of only adding coins.',
+      'Added x1 / x10 / x100 / Max buying for units, upgrades and click upgrades with the exact total on each button.',
+      'Added a number format setting: short suffixes (K, M, B, T, aa…), scientific or engineering notation.',
+      'Units now multiply their output at 10, 25, 50 and 100 owned; each unit card shows progress to the next milestone.',
+      'Species and upgrade bonuses now target tagged units and missions (Dolphin boosts Boats, Koala speeds up Jungle Fire); cards list the bonuses that apply.',
+      'Added a mission board: pick from several offers with their own duration, risk, difficulty, species and coin reward; offers refresh every few minutes.',
+      'Missions now end in success, partial success or failure with a star rating; lost animals are tracked, repeated failures raise a species\' threat level and failed missions can be retried at a higher difficulty.',
+      'Units can be dispatched to the running mission, where they work faster on suited terrain (Boats on floods, Helicopters on avalanches) but earn no passive income.',
+      'Missions are now generated from a seed, scale with your progress and prestiges, and can roll Night, Storm or Remote modifiers.',
+      'Added a mission history with per-mission best time, average saved and success rate, plus CSV export.',
+      'World events now bring larger, high-reward crisis missions and an event goal with a coin reward if it is met before the event ends.',
+      'The rescue button grows with your rescue rate, builds a combo on rapid clicks, can land critical rescues and has its own line of click upgrades.',
+      'Rescued species now breed in the Sanctuary, also while you are away, slowing as their habitat fills; cards show the growth rate and capacity.',
+      'Species mastery: rescuing more of a species raises it through Bronze, Silver, Gold and Platinum tiers, each boosting its bonus.',
+      'Click a Sanctuary card to open its field guide: conservation status, where it is rescued, saved history and the bonus it adds.',
+      'Biomes now come from data packs. The Savannah brings its own missions, the Water Bowsers upgrade, the Great Migration event and two achievements.',
+      'Biomes have terrain rules: Savannah missions favor ground units over boats, face droughts and wildfires and take longer. The biome card lists the rules.',
+      'The permit shop is now a permit tree in Reserve HQ: nodes have prerequisites and level caps, and add offline hours, auto-buyers, mission board slots, starting coins and biome discounts. Nodes are bought one level at a time, so the buy quantity no longer applies to permits. Respec refunds every permit, and permits spent in the old shop are refunded.',
+      'The Reserve Map is back as its own tab, unlocked by the Map Upgrade permit node. Each level reveals more land and species areas; drag to pan, scroll to zoom and hover a herd for details.',
+      'Found New Reserve now opens a preview of what resets and what persists, the permits earned, the rescues and time to the next permit, and a wait vs. reset comparison. Confirming plays a summary of the finished reserve.'
+    ]
+  },
   {
     version: 'v0.7.0',
     date: '2025-08-23',
@@ -734,7 +930,7 @@ function initChangelog() {
  */
 function loadTipLink() {
   try {
-    const saved = localStorage.getItem('ee_tip_link');
+    const saved = localStorage.getItem(profileStorageKey(TIP_LINK_KEY));
     if (saved) {
       tipLink = saved;
     }
@@ -761,7 +957,7 @@ function loadTipLink() {
  */
 function saveTipLink(link) {
   try {
-    localStorage.setItem('ee_tip_link', link);
+    localStorage.setItem(profileStorageKey(TIP_LINK_KEY), link);
   } catch (e) {
     console.error('Failed to save tip link:', e);
   }
@@ -774,6 +970,254 @@ function saveTipLink(link) {
   }
 }
 
+// ==== Player Profiles ====
+// Several players can keep separate games on one device.  The profile list
+// lives under PROFILES_KEY and every per-player value (save, player ID, tip
+// link, number format and save backup) is stored under a key suffixed with
+// the profile ID.
+// The default profile keeps the original unsuffixed keys so that saves from
+// before profiles existed simply become that profile.
+
+const PROFILES_KEY = 'extinctionEscapeProfiles';
+const DEFAULT_PROFILE_ID = 'default';
+const SAVE_KEY = 'extinctionEscapeState';
+const PLAYER_ID_KEY = 'extinctionEscapePlayerId';
+const TIP_LINK_KEY = 'ee_tip_link';
+const NUMBER_FORMAT_KEY = 'extinctionEscapeNumberFormat';
+// Key under which an unreadable save is preserved before the game starts over
+const SAVE_BACKUP_KEY = 'extinctionEscapeState.backup';
+// Every key that belongs to a single profile
+const PROFILE_STORAGE_KEYS = [SAVE_KEY, PLAYER_ID_KEY, TIP_LINK_KEY, NUMBER_FORMAT_KEY, SAVE_BACKUP_KEY];
+
+// Known profiles as { id, name, createdAt } and the one currently playing
+let profiles = [];
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+/**
+ * Return the storage key for a per-profile value.
+ * @param {string} baseKey One of PROFILE_STORAGE_KEYS
+ * @param {string} [profileId] Defaults to the active profile
+ * @returns {string}
+ */
+function profileStorageKey(baseKey, profileId = activeProfileId) {
+  return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+}
+
+/**
+ * Read the profile list from localStorage.  Creates the default profile when
+ * no list exists yet and falls back to the first profile if the stored active
+ * profile is missing.  Must run before loadGame().
+ */
+function loadProfiles() {
+  profiles = [];
+  activeProfileId = DEFAULT_PROFILE_ID;
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+    if (stored && Array.isArray(stored.profiles)) {
+      profiles = stored.profiles.filter(p => p && typeof p.id === 'string' && typeof p.name === 'string');
+      activeProfileId = stored.activeId;
+    }
+  } catch (e) {
+    console.error('Failed to read profiles from storage:', e);
+  }
+  if (profiles.length === 0) {
+    profiles.push({ id: DEFAULT_PROFILE_ID, name: 'Player 1', createdAt: Date.now() });
+  }
+  if (!profiles.some(p => p.id === activeProfileId)) {
+    activeProfileId = profiles[0].id;
+  }
+  saveProfiles();
+}
+
+// Write the profile list and the active profile to localStorage
+function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({ activeId: activeProfileId, profiles: profiles }));
+  } catch (e) {
+    console.error('Failed to save profiles:', e);
+  }
+}
+
+// Create a unique ID for a new profile
+function generateProfileId() {
+  let id = '';
+  do {
+    id = 'p' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4);
+  } while (profiles.some(p => p.id === id));
+  return id;
+}
+
+/**
+ * Switch to another profile.  The current game is saved first, then the page
+ * reloads so that loadGame() starts from the other profile's save.
+ * @param {string} id Profile to switch to
+ */
+function switchProfile(id) {
+  if (id === activeProfileId || !profiles.some(p => p.id === id)) return;
+  saveGame();
+  activeProfileId = id;
+  saveProfiles();
+  reloadWithoutSaving();
+}
+
+/**
+ * Create an empty profile and switch to it, leaving every other profile's
+ * save untouched.
+ * @param {string} name Display name for the profile
+ */
+function createProfile(name) {
+  const profile = { id: generateProfileId(), name: name, createdAt: Date.now() };
+  profiles.push(profile);
+  saveProfiles();
+  switchProfile(profile.id);
+}
+
+/**
+ * Rename a profile.
+ * @param {string} id
+ * @param {string} name
+ */
+function renameProfile(id, name) {
+  const profile = profiles.find(p => p.id === id);
+  if (!profile) return;
+  profile.name = name;
+  saveProfiles();
+  updateProfilesUI();
+}
+
+/**
+ * Copy a profile's save, tip link and season records into a new profile.
+ * The copy receives its own player ID so friend codes stay distinct.
+ * @param {string} id Profile to copy
+ * @param {string} name Display name for the copy
+ * @returns {Object} The new profile
+ */
+function duplicateProfile(id, name) {
+  if (id === activeProfileId) saveGame();
+  const copy = { id: generateProfileId(), name: name, createdAt: Date.now() };
+  try {
+    [SAVE_KEY, TIP_LINK_KEY, NUMBER_FORMAT_KEY].forEach(baseKey => {
+      const value = localStorage.getItem(profileStorageKey(baseKey, id));
+      if (value === null) return;
+      if (baseKey === SAVE_KEY) {
+        const state = JSON.parse(value);
+        delete state.playerId;
+        localStorage.setItem(profileStorageKey(baseKey, copy.id), JSON.stringify(state));
+      } else {
+        localStorage.setItem(profileStorageKey(baseKey, copy.id), value);
+      }
+    });
+  } catch (e) {
+    console.error('Failed to duplicate profile:', e);
+    alert('Could not duplicate this profile.');
+    return null;
+  }
+  profiles.push(copy);
+  saveProfiles();
+  updateProfilesUI();
+  return copy;
+}
+
+/**
+ * Delete a profile and everything stored for it.  The last profile cannot be
+ * deleted.  Deleting the active profile switches to the first remaining one
+ * without saving the deleted game back to storage.
+ * @param {string} id
+ */
+function deleteProfile(id) {
+  if (profiles.length <= 1 || !profiles.some(p => p.id === id)) return;
+  PROFILE_STORAGE_KEYS.forEach(baseKey => {
+    try {
+      localStorage.removeItem(profileStorageKey(baseKey, id));
+    } catch (e) {
+      console.error('Failed to remove profile data:', e);
+    }
+  });
+  profiles = profiles.filter(p => p.id !== id);
+  if (id === activeProfileId) {
+    activeProfileId = profiles[0].id;
+    saveProfiles();
+    reloadWithoutSaving();
+    return;
+  }
+  saveProfiles();
+  updateProfilesUI();
+}
+
+// Ask for a profile name, returning null if cancelled or left blank
+function promptProfileName(message, defaultName) {
+  const name = prompt(message, defaultName);
+  if (name === null) return null;
+  const trimmed = name.trim();
+  return trimmed ? trimmed.slice(0, 30) : null;
+}
+
+/**
+ * Set up the profile picker and its create, rename, duplicate and delete
+ * buttons.  Called once from init().
+ */
+function initProfilesUI() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  select.addEventListener('change', () => switchProfile(select.value));
+  const newBtn = document.getElementById('profile-new');
+  if (newBtn) {
+    newBtn.addEventListener('click', () => {
+      const name = promptProfileName('Name for the new profile:', `Player ${profiles.length + 1}`);
+      if (name) createProfile(name);
+    });
+  }
+  const renameBtn = document.getElementById('profile-rename');
+  if (renameBtn) {
+    renameBtn.addEventListener('click', () => {
+      const current = profiles.find(p => p.id === activeProfileId);
+      const name = promptProfileName('New name for this profile:', current ? current.name : '');
+      if (name) renameProfile(activeProfileId, name);
+    });
+  }
+  const duplicateBtn = document.getElementById('profile-duplicate');
+  if (duplicateBtn) {
+    duplicateBtn.addEventListener('click', () => {
+      const current = profiles.find(p => p.id === activeProfileId);
+      const name = promptProfileName('Name for the copy:', current ? `${current.name} (copy)` : '');
+      if (!name) return;
+      const copy = duplicateProfile(activeProfileId, name);
+      if (copy) alert(`Created "${copy.name}". Pick it from the profile list to play it.`);
+    });
+  }
+  const deleteBtn = document.getElementById('profile-delete');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', () => {
+      const current = profiles.find(p => p.id === activeProfileId);
+      if (!current) return;
+      if (profiles.length <= 1) {
+        alert('This is the only profile and cannot be deleted.');
+        return;
+      }
+      if (confirm(`Delete the profile "${current.name}"?\n\nIts save, tip link and season records will be removed permanently.`)) {
+        deleteProfile(current.id);
+      }
+    });
+  }
+  updateProfilesUI();
+}
+
+// Refresh the profile picker options and the state of the delete button
+function updateProfilesUI() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  select.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  select.value = activeProfileId;
+  const deleteBtn = document.getElementById('profile-delete');
+  if (deleteBtn) deleteBtn.disabled = profiles.length <= 1;
+}
+
 // ----- Reserve (visual animal tracker) functions -----
 
 // Return a normally-distributed random value with mean 0 and variance 1 using the
@@ -785,20 +1229,36 @@ function randomGaussian() {
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
 
+// Current reserve map level from the Map Upgrade permit node; 0 means the
+// map is still locked
+function reserveMapLevel() {
+  return EscapeEngine.permitEffect(game.state, 'mapLevel');
+}
+
+// Centers of a species that the current map level reveals
+function revealedCenters(species) {
+  const centers = speciesCenters[species] || [{ x: 0.5, y: 0.5, level: 1 }];
+  return centers.filter(center => (center.level || 1) <= reserveMapLevel());
+}
+
+// Spread of a species cluster in canvas pixels.  It grows with the square
+// root of the species count to represent expanding herds.
+function clusterRadius(species) {
+  const w = reserveCanvas.width;
+  const h = reserveCanvas.height;
+  const count = game.state.reserveCounts[species] || 0;
+  return Math.max(w, h) * 0.04 + Math.sqrt(Math.max(0, count)) * 0.5;
+}
+
 // Generate a dot position for a given species.  Dots are clustered around
-// species center(s) defined in speciesCenters.  The spread grows with the
-// square root of the species count to represent expanding herds.
+// the revealed species center(s) defined in speciesCenters.
 function randomDotForSpecies(species) {
-  if (!reserveCanvas) return { x: 0, y: 0, baseX: 0, baseY: 0, phaseX: 0, phaseY: 0, ampX: 0, ampY: 0 };
-  const centers = speciesCenters[species] || [{ x: 0.5, y: 0.5 }];
+  const centers = reserveCanvas ? revealedCenters(species) : [];
+  if (centers.length === 0) return null;
   const center = centers[Math.floor(Math.random() * centers.length)];
   const w = reserveCanvas.width;
   const h = reserveCanvas.height;
-  // Base cluster radius relative to canvas size
-  const count = reserveCounts[species] || 0;
-  const baseR = Math.max(w, h) * 0.04;
-  const growthR = Math.sqrt(Math.max(0, count)) * 0.5;
-  const sigma = baseR + growthR;
+  const sigma = clusterRadius(species);
   const cx = center.x * w;
   const cy = center.y * h;
   // Generate Gaussian offsets
@@ -823,9 +1283,12 @@ function randomDotForSpecies(species) {
 
 // Rebuild all dot positions based on reserveCounts.  Applies auto density so
 // that the total number of rendered dots stays around 5000 or fewer.  For
-// each species, we create nDots = ceil(count / densityDivisor) dot objects.
+// each species in a revealed area, we create nDots = ceil(count /
+// densityDivisor) dot objects.
 function rebuildReserveDots() {
   reserveDots = {};
+  if (!reserveCanvas) return;
+  const reserveCounts = game.state.reserveCounts;
   // Compute total animals saved across all species
   let total = 0;
   Object.keys(reserveCounts).forEach(sp => {
@@ -836,6 +1299,7 @@ function rebuildReserveDots() {
   const densityDivisor = total > maxDots ? Math.ceil(total / maxDots) : 1;
   Object.keys(reserveCounts).forEach(species => {
     const count = reserveCounts[species] || 0;
+    if (revealedCenters(species).length === 0) return;
     const nDots = count > 0 ? Math.max(1, Math.round(count / densityDivisor)) : 0;
     reserveDots[species] = [];
     for (let i = 0; i < nDots; i++) {
@@ -848,7 +1312,7 @@ function rebuildReserveDots() {
 // offscreen landCanvas to match the display size, redraws the landmass and
 // rebuilds dot positions.  This keeps the visuals crisp and responsive.
 function onReserveResize() {
-  if (!reserveCanvas) return;
+  if (!reserveCanvas || reserveView.classList.contains('hidden')) return;
   const rect = reserveCanvas.getBoundingClientRect();
   const w = Math.max(1, Math.floor(rect.width));
   const h = Math.max(1, Math.floor(rect.height));
@@ -860,52 +1324,52 @@ function onReserveResize() {
   }
   landCanvas.width = w;
   landCanvas.height = h;
+  clampReserveView();
   // Redraw the landmass on the offscreen canvas
   drawLand();
   // Rebuild dot positions to fit new canvas size and density settings
   rebuildReserveDots();
 }
 
-// Paint a stylized landmass on the offscreen landCanvas.  Draws layered
-// translucent shapes over a water background to suggest continents and
-// islands.  Called whenever the canvas is resized.
+// Trace a normalized polygon as a closed path on a canvas of size w x h
+function tracePolygon(ctx, polygon, w, h) {
+  ctx.beginPath();
+  polygon.forEach((pt, idx) => {
+    const x = pt.x * w;
+    const y = pt.y * h;
+    if (idx === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+}
+
+// Paint a stylized landmass on the offscreen landCanvas.  Draws the revealed
+// map regions as layered translucent shapes over a water background, and
+// the uncharted ones as dashed outlines.  Called whenever the canvas is
+// resized or the map level changes.
 function drawLand() {
   if (!landCtx || !landCanvas) return;
   const ctx = landCtx;
   const w = landCanvas.width;
   const h = landCanvas.height;
+  const level = reserveMapLevel();
   // Clear with water background
   ctx.clearRect(0, 0, w, h);
   ctx.fillStyle = '#dcefff';
   ctx.fillRect(0, 0, w, h);
-  // Define several irregular island polygons (normalized coordinates)
-  const islands = [
-    // Main continent: an irregular shape wrapping across much of the canvas
-    [
-      { x: 0.05, y: 0.60 }, { x: 0.10, y: 0.45 }, { x: 0.18, y: 0.28 }, { x: 0.30, y: 0.20 },
-      { x: 0.47, y: 0.23 }, { x: 0.60, y: 0.18 }, { x: 0.75, y: 0.10 }, { x: 0.88, y: 0.25 },
-      { x: 0.95, y: 0.45 }, { x: 0.85, y: 0.65 }, { x: 0.70, y: 0.75 }, { x: 0.52, y: 0.83 },
-      { x: 0.32, y: 0.85 }, { x: 0.15, y: 0.78 }
-    ],
-    // Secondary island
-    [
-      { x: 0.18, y: 0.80 }, { x: 0.25, y: 0.74 }, { x: 0.35, y: 0.77 }, { x: 0.32, y: 0.88 }
-    ],
-    // Tertiary island
-    [
-      { x: 0.78, y: 0.70 }, { x: 0.82, y: 0.66 }, { x: 0.90, y: 0.70 }, { x: 0.87, y: 0.78 }
-    ]
-  ];
-  // Draw each island: beach stroke, land fill, and coastline stroke
-  islands.forEach(poly => {
-    ctx.beginPath();
-    poly.forEach((pt, idx) => {
-      const x = pt.x * w;
-      const y = pt.y * h;
-      if (idx === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
-    });
-    ctx.closePath();
+  // Draw each revealed region: beach stroke, land fill, and coastline stroke
+  mapRegions.forEach(region => {
+    tracePolygon(ctx, region.polygon, w, h);
+    if (region.level > level) {
+      // Uncharted: only a faint dashed outline
+      ctx.save();
+      ctx.setLineDash([6, 6]);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#9fb4c7';
+      ctx.stroke();
+      ctx.restore();
+      return;
+    }
     // Beach: a wider stroke behind the land (sand color)
     ctx.save();
     ctx.lineWidth = Math.max(w, h) * 0.02;
@@ -926,15 +1390,29 @@ function drawLand() {
     ctx.strokeStyle = '#91b08a';
     ctx.stroke();
   });
-  // Optionally draw subtle noise overlay for texture
+  // Label the revealed species areas
+  ctx.save();
+  ctx.font = '11px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#5b6f58';
+  const labelled = {};
+  Object.keys(speciesCenters).forEach(species => {
+    revealedCenters(species).forEach(center => {
+      if (!center.area || labelled[center.area]) return;
+      labelled[center.area] = true;
+      ctx.fillText(center.area, center.x * w, center.y * h - Math.max(w, h) * 0.05);
+    });
+  });
+  ctx.restore();
 }
 
 // Draw a small legend showing the color and count of each species in the
 // top-right corner of the reserve view.  Only species with non-zero counts
-// are displayed, sorted by descending count.
+// in revealed areas are displayed, sorted by descending count.
 function drawLegend(ctx) {
+  const reserveCounts = game.state.reserveCounts;
   const entries = Object.keys(reserveCounts)
-    .filter(s => (reserveCounts[s] || 0) > 0)
+    .filter(s => (reserveCounts[s] || 0) > 0 && revealedCenters(s).length > 0)
     .sort((a, b) => (reserveCounts[b] || 0) - (reserveCounts[a] || 0))
     .slice(0, 8);
   if (entries.length === 0) return;
@@ -959,20 +1437,26 @@ function drawLegend(ctx) {
     ctx.fillStyle = speciesColors[sp] || '#333';
     ctx.fillRect(x + pad, rowY - 5, sw, sw);
     ctx.fillStyle = '#333';
-    ctx.fillText(`${sp}: ${reserveCounts[sp]}`, x + pad + sw + 6, rowY);
+    ctx.fillText(`${sp}: ${formatNumber(reserveCounts[sp])}`, x + pad + sw + 6, rowY);
   });
   ctx.restore();
 }
 
 // Draw loop for reserve view.  Renders the landmass, then animates dots with
-// gentle drift.  Updates the frame counter and schedules the next frame.
+// gentle drift, both through the pan and zoom transform.  Updates the frame
+// counter and schedules the next frame while the view is visible.
 function drawReserve() {
-  if (!reserveCtx || !reserveCanvas) return;
+  if (!reserveCtx || !reserveCanvas || reserveView.classList.contains('hidden')) {
+    reserveAnimating = false;
+    return;
+  }
   const ctx = reserveCtx;
   const w = reserveCanvas.width;
   const h = reserveCanvas.height;
   // Clear and draw the landmass from the offscreen canvas
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.clearRect(0, 0, w, h);
+  ctx.setTransform(reserveTransform.scale, 0, 0, reserveTransform.scale, reserveTransform.x, reserveTransform.y);
   if (landCanvas) {
     ctx.drawImage(landCanvas, 0, 0);
   }
@@ -994,14 +1478,140 @@ function drawReserve() {
       ctx.fill();
     });
   });
-  // Draw legend on top
+  // Draw legend on top, outside the pan and zoom transform
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
   drawLegend(ctx);
   requestAnimationFrame(drawReserve);
 }
 
+// ---- Reserve Map Pan, Zoom and Tooltip ----
+
+// Zoom limits of the reserve map and the step of one wheel notch or button
+const RESERVE_MIN_ZOOM = 1;
+const RESERVE_MAX_ZOOM = 4;
+const RESERVE_ZOOM_STEP = 1.25;
+
+// Pan and zoom of the reserve map: canvas pixel = map pixel * scale + offset
+const reserveTransform = { scale: 1, x: 0, y: 0 };
+
+// Pointer position while dragging the map, or null
+let reserveDrag = null;
+
+// Whether the reserve draw loop is scheduled
+let reserveAnimating = false;
+
+// Keep the zoomed map covering the whole canvas
+function clampReserveView() {
+  const w = reserveCanvas.width;
+  const h = reserveCanvas.height;
+  const scale = Math.min(RESERVE_MAX_ZOOM, Math.max(RESERVE_MIN_ZOOM, reserveTransform.scale));
+  reserveTransform.scale = scale;
+  reserveTransform.x = Math.min(0, Math.max(w - w * scale, reserveTransform.x));
+  reserveTransform.y = Math.min(0, Math.max(h - h * scale, reserveTransform.y));
+}
+
+// Zoom the map by a factor, keeping the canvas point (px, py) in place
+function zoomReserve(factor, px, py) {
+  const before = reserveTransform.scale;
+  const after = Math.min(RESERVE_MAX_ZOOM, Math.max(RESERVE_MIN_ZOOM, before * factor));
+  reserveTransform.x = px - (px - reserveTransform.x) * after / before;
+  reserveTransform.y = py - (py - reserveTransform.y) * after / before;
+  reserveTransform.scale = after;
+  clampReserveView();
+}
+
+// Canvas coordinates of a mouse or pointer event
+function reservePointer(event) {
+  const rect = reserveCanvas.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+
+/**
+ * Find the species cluster under a canvas point.  Returns the nearest
+ * revealed cluster whose radius contains the point, or null.
+ * @param {number} px Canvas x in pixels
+ * @param {number} py Canvas y in pixels
+ * @returns {{species: string, center: Object}|null}
+ */
+function reserveClusterAt(px, py) {
+  const mapX = (px - reserveTransform.x) / reserveTransform.scale;
+  const mapY = (py - reserveTransform.y) / reserveTransform.scale;
+  let best = null;
+  let bestDistance = Infinity;
+  Object.keys(reserveDots).forEach(species => {
+    if (reserveDots[species].length === 0) return;
+    const radius = clusterRadius(species) * 2;
+    revealedCenters(species).forEach(center => {
+      const distance = Math.hypot(mapX - center.x * reserveCanvas.width, mapY - center.y * reserveCanvas.height);
+      if (distance <= radius && distance < bestDistance) {
+        best = { species: species, center: center };
+        bestDistance = distance;
+      }
+    });
+  });
+  return best;
+}
+
+// Show the tooltip for the species cluster under the pointer, if any
+function updateReserveTooltip(px, py) {
+  const tooltip = document.getElementById('reserve-tooltip');
+  const hit = reserveDrag ? null : reserveClusterAt(px, py);
+  if (!hit) {
+    tooltip.classList.add('hidden');
+    return;
+  }
+  const count = game.state.reserveCounts[hit.species] || 0;
+  const parts = [hit.species];
+  if (hit.center.area) parts.push(hit.center.area);
+  parts.push(`${formatNumber(count)} in reserve`);
+  parts.push(masteryLabel(hit.species));
+  tooltip.textContent = parts.join(' • ');
+  tooltip.style.left = `${px + 12}px`;
+  tooltip.style.top = `${py + 12}px`;
+  tooltip.classList.remove('hidden');
+}
+
+// Describe the map level and what the next Map Upgrade reveals
+function updateReserveMapInfo() {
+  const infoEl = document.getElementById('reserve-map-level');
+  if (!infoEl) return;
+  const level = reserveMapLevel();
+  const def = permitTreeDefinitions.find(node => node.effect === 'mapLevel');
+  const maxLevel = def.maxLevel * def.effectValue;
+  if (level >= maxLevel) {
+    infoEl.textContent = `Map level ${level}/${maxLevel} • Fully charted`;
+    return;
+  }
+  const next = mapRegions.filter(region => region.level === level + 1).map(region => region.name);
+  if (level + 1 >= BIOME_AREA_MAP_LEVEL) next.push('biome areas');
+  const reveals = next.length > 0 ? next.join(' and ') : 'more species areas';
+  infoEl.textContent = `Map level ${level}/${maxLevel} • Next Map Upgrade reveals ${reveals}`;
+}
+
+// Show the Reserve Map tab once a Map Upgrade is owned and redraw the map
+// for the current level.  Leaves the map for the game view if a respec
+// removed every level.
+function refreshReserveMap() {
+  const unlocked = reserveMapLevel() > 0;
+  tabReserveBtn.classList.toggle('hidden', !unlocked);
+  if (!unlocked && !reserveView.classList.contains('hidden')) {
+    tabGameBtn.click();
+  }
+  updateReserveMapInfo();
+  drawLand();
+  rebuildReserveDots();
+}
+
+// Start the reserve draw loop if it is not already running
+function startReserveAnimation() {
+  if (reserveAnimating) return;
+  reserveAnimating = true;
+  requestAnimationFrame(drawReserve);
+}
+
 // Initialize reserve canvas, offscreen land canvas and listeners.  Sets up
-// event handlers for resizing, builds the initial landmass and dot positions
-// and starts the animation loop.
+// event handlers for resizing, panning, zooming and the cluster tooltip.
+// The landmass, dots and draw loop start when the Reserve Map tab opens.
 function initReserve() {
   reserveCanvas = document.getElementById('reserve-canvas');
   if (!reserveCanvas) return;
@@ -1009,10 +1619,45 @@ function initReserve() {
   // Create offscreen land canvas
   landCanvas = document.createElement('canvas');
   landCtx = landCanvas.getContext('2d');
-  onReserveResize();
   window.addEventListener('resize', onReserveResize);
-  // Start the draw loop
-  requestAnimationFrame(drawReserve);
+  // Wheel zooms around the pointer
+  reserveCanvas.addEventListener('wheel', event => {
+    event.preventDefault();
+    const point = reservePointer(event);
+    zoomReserve(event.deltaY < 0 ? RESERVE_ZOOM_STEP : 1 / RESERVE_ZOOM_STEP, point.x, point.y);
+  }, { passive: false });
+  // Dragging pans the map
+  reserveCanvas.addEventListener('pointerdown', event => {
+    reserveDrag = reservePointer(event);
+    if (reserveCanvas.setPointerCapture) reserveCanvas.setPointerCapture(event.pointerId);
+  });
+  reserveCanvas.addEventListener('pointermove', event => {
+    const point = reservePointer(event);
+    if (reserveDrag) {
+      reserveTransform.x += point.x - reserveDrag.x;
+      reserveTransform.y += point.y - reserveDrag.y;
+      reserveDrag = point;
+      clampReserveView();
+    }
+    updateReserveTooltip(point.x, point.y);
+  });
+  const endDrag = () => { reserveDrag = null; };
+  reserveCanvas.addEventListener('pointerup', endDrag);
+  reserveCanvas.addEventListener('pointercancel', endDrag);
+  reserveCanvas.addEventListener('pointerleave', () => {
+    document.getElementById('reserve-tooltip').classList.add('hidden');
+  });
+  // Zoom buttons zoom around the middle of the canvas
+  document.getElementById('reserve-zoom-in').addEventListener('click', () => {
+    zoomReserve(RESERVE_ZOOM_STEP, reserveCanvas.width / 2, reserveCanvas.height / 2);
+  });
+  document.getElementById('reserve-zoom-out').addEventListener('click', () => {
+    zoomReserve(1 / RESERVE_ZOOM_STEP, reserveCanvas.width / 2, reserveCanvas.height / 2);
+  });
+  document.getElementById('reserve-zoom-reset').addEventListener('click', () => {
+    Object.assign(reserveTransform, { scale: 1, x: 0, y: 0 });
+  });
+  refreshReserveMap();
 }
 
 // Upgrades UI container
@@ -1024,8 +1669,10 @@ const animalsSavedEl = document.getElementById('animals-saved');
 const rateEl = document.getElementById('rate');
 const unitsContainer = document.getElementById('units-container');
 
-// Manual rescue button
+// Manual rescue button, combo readout and click upgrades
 const manualBtn = document.getElementById('manual-rescue');
+const clickComboEl = document.getElementById('click-combo');
+const clickUpgradesContainer = document.getElementById('click-upgrades-container');
 
 // Navigation and view elements
 const tabGameBtn = document.getElementById('tab-game');
@@ -1033,7 +1680,12 @@ const tabHavenBtn = document.getElementById('tab-haven');
 const gameView = document.getElementById('game-view');
 const havenView = document.getElementById('haven-view');
 
-// Changelog navigation and view elements.  This replaces the old reserve map.
+// Reserve map navigation and view elements.  The tab appears once a Map
+// Upgrade permit node is owned.
+const tabReserveBtn = document.getElementById('tab-reserve');
+const reserveView = document.getElementById('reserve-view');
+
+// Changelog navigation and view elements
 const tabChangelogBtn = document.getElementById('tab-changelog');
 const changelogView = document.getElementById('changelog-view');
 // Install App button (PWA prompt)
@@ -1046,9 +1698,18 @@ const supportBtn = document.getElementById('support-button');
 
 // Mission panel elements
 const missionNameEl = document.getElementById('mission-name');
+const missionTagsEl = document.getElementById('mission-tags');
 const missionTimeEl = document.getElementById('mission-time');
 const animalsAtRiskEl = document.getElementById('animals-at-risk');
 const missionProgressEl = document.getElementById('mission-progress');
+const missionOutcomeEl = document.getElementById('mission-outcome');
+const missionOutcomeTextEl = document.getElementById('mission-outcome-text');
+const retryMissionBtn = document.getElementById('retry-mission');
+const missionBoardEl = document.getElementById('mission-board');
+const dispatchPanelEl = document.getElementById('dispatch-panel');
+const dispatchListEl = document.getElementById('dispatch-list');
+const dispatchRateEl = document.getElementById('dispatch-rate');
+const boardRefreshEl = document.getElementById('board-refresh');
 
 // Tasks panel
 const tasksListEl = document.getElementById('tasks-list');
@@ -1060,41 +1721,114 @@ const safeHavenEl = document.getElementById('safe-haven');
 const eventPanel = document.getElementById('event-panel');
 const eventNameEl = document.getElementById('event-name');
 const eventTimeLeftEl = document.getElementById('event-time-left');
+const eventGoalEl = document.getElementById('event-goal');
+const eventGoalProgressEl = document.getElementById('event-goal-progress');
 // Permits and prestige elements
 const permitsCountEl = document.getElementById('permits-count');
 const lifetimeSavedEl = document.getElementById('lifetime-saved');
 const permitsContainerEl = document.getElementById('permits-container');
+const permitRespecButton = document.getElementById('permit-respec');
 const prestigeButton = document.getElementById('prestige-button');
 const prestigeInfoEl = document.getElementById('prestige-info');
 
-// Create UI for each unit
-function initUnits() {
-  unitDefinitions.forEach((unit, index) => {
-    const card = document.createElement('div');
-    card.className = 'unit-card';
+// ---- Buy Quantity ----
 
-    const info = document.createElement('div');
-    info.className = 'unit-info';
+// Quantity bought per click on unit, upgrade and click upgrade buttons: a
+// count or EscapeEngine.BUY_MAX for as many as the player can afford
+let buyQuantity = 1;
 
-    const nameEl = document.createElement('div');
-    nameEl.className = 'unit-name';
-    nameEl.textContent = unit.name;
-    info.appendChild(nameEl);
+// Hook up the x1 / x10 / x100 / Max selector
+function initBuyQuantity() {
+  const buttons = document.querySelectorAll('#buy-quantity .quantity-button');
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      const value = btn.dataset.quantity;
+      buyQuantity = value === EscapeEngine.BUY_MAX ? value : Number(value);
+      buttons.forEach(other => other.classList.toggle('active', other === btn));
+      updateUI();
+    });
+  });
+}
 
-    const statsEl = document.createElement('div');
-    statsEl.className = 'unit-stats';
-    statsEl.id = `unit-stats-${index}`;
-    info.appendChild(statsEl);
+/**
+ * Show a purchase quote on a buy button.  Single purchases keep the plain
+ * "Buy (cost)" label; larger ones show how many will be bought.
+ * @param {HTMLButtonElement} button
+ * @param {{quantity: number, cost: number, affordable: boolean}} quote
+ * @param {string} currency 'coins' or 'permits'
+ */
+function updateBuyButton(button, quote, currency) {
+  const label = quote.quantity === 1 && buyQuantity !== EscapeEngine.BUY_MAX ? 'Buy' : `Buy x${formatNumber(quote.quantity)}`;
+  button.textContent = `${label} (${formatNumber(quote.cost)} ${currency})`;
+  button.disabled = !quote.affordable;
+}
+
+// Create the card for a single rescue unit
+function createUnitCard(unit, index) {
+  const card = document.createElement('div');
+  card.className = 'unit-card';
+
+  const info = document.createElement('div');
+  info.className = 'unit-info';
+
+  const nameEl = document.createElement('div');
+  nameEl.className = 'unit-name';
+  nameEl.textContent = unit.name;
+  info.appendChild(nameEl);
+
+  const statsEl = document.createElement('div');
+  statsEl.className = 'unit-stats';
+  statsEl.id = `unit-stats-${index}`;
+  info.appendChild(statsEl);
+
+  // Tags and the tagged bonuses that boost this unit
+  const bonusesEl = document.createElement('div');
+  bonusesEl.className = 'bonus-list';
+  bonusesEl.id = `unit-bonuses-${index}`;
+  info.appendChild(bonusesEl);
+
+  // Mission terrain this unit is suited or unsuited for
+  const terrainEl = document.createElement('div');
+  terrainEl.className = 'unit-terrain';
+  terrainEl.textContent = describeTerrain(unit);
+  info.appendChild(terrainEl);
+
+  // Progress toward the next ownership milestone
+  const milestoneEl = document.createElement('div');
+  milestoneEl.className = 'unit-milestone';
+  milestoneEl.id = `unit-milestone-${index}`;
+  info.appendChild(milestoneEl);
+  const milestoneBar = document.createElement('div');
+  milestoneBar.className = 'progress-bar unit-milestone-bar';
+  const milestoneFill = document.createElement('div');
+  milestoneFill.className = 'unit-milestone-fill';
+  milestoneFill.id = `unit-milestone-fill-${index}`;
+  milestoneBar.appendChild(milestoneFill);
+  info.appendChild(milestoneBar);
+
+  const button = document.createElement('button');
+  button.className = 'buy-button';
+  button.id = `unit-buy-${index}`;
+  button.textContent = `Buy (${formatNumber(unit.baseCost)} coins)`;
+  button.addEventListener('click', () => game.dispatch('buyUnit', { index: index, quantity: buyQuantity }));
+
+  card.appendChild(info);
+  card.appendChild(button);
+  unitsContainer.appendChild(card);
+}
 
-    const button = document.createElement('button');
-    button.className = 'buy-button';
-    button.id = `unit-buy-${index}`;
-    button.textContent = `Buy (${unit.baseCost} coins)`;
-    button.addEventListener('click', () => purchaseUnit(index));
+// Create UI for each unit
+function initUnits() {
+  game.state.unitDefinitions.forEach((unit, index) => createUnitCard(unit, index));
+}
 
-    card.appendChild(info);
-    card.appendChild(button);
-    unitsContainer.appendChild(card);
+// Create cards for units added since the unit list was built (e.g. by a
+// newly unlocked biome)
+function syncUnitCards() {
+  game.state.unitDefinitions.forEach((unit, index) => {
+    if (!document.getElementById(`unit-buy-${index}`)) {
+      createUnitCard(unit, index);
+    }
   });
 }
 
@@ -1103,6 +1837,7 @@ function initUpgrades() {
   upgradeDefinitions.forEach((upgrade, index) => {
     const card = document.createElement('div');
     card.className = 'unit-card';
+    card.id = `upgrade-card-${index}`;
 
     const info = document.createElement('div');
     info.className = 'unit-info';
@@ -1120,8 +1855,8 @@ function initUpgrades() {
     const button = document.createElement('button');
     button.className = 'buy-button';
     button.id = `upgrade-buy-${index}`;
-    button.textContent = `Buy (${upgrade.baseCost} coins)`;
-    button.addEventListener('click', () => purchaseUpgrade(index));
+    button.textContent = `Buy (${formatNumber(upgrade.baseCost)} coins)`;
+    button.addEventListener('click', () => game.dispatch('buyUpgrade', { index: index, quantity: buyQuantity }));
 
     card.appendChild(info);
     card.appendChild(button);
@@ -1129,34 +1864,14 @@ function initUpgrades() {
   });
 }
 
-// Purchase an upgrade if the player has enough coins
-function purchaseUpgrade(index) {
-  const cost = upgradeCosts[index];
-  if (coins >= cost) {
-    coins -= cost;
-    upgradesOwned[index] += 1;
-    // Apply the upgrade effect
-    const upg = upgradeDefinitions[index];
-    if (upg.effectType === 'rate') {
-      globalRateBonus += upg.effectValue;
-    } else if (upg.effectType === 'time') {
-      globalTimeReduction += upg.effectValue;
-      // Cap reduction at 0.9 (cannot reduce more than 90%) to avoid negative durations
-      if (globalTimeReduction > 0.9) globalTimeReduction = 0.9;
-    } else if (upg.effectType === 'animals') {
-      globalAnimalBonus += upg.effectValue;
-    }
-    // Calculate next cost using exponential scaling
-    upgradeCosts[index] = Math.floor(upg.baseCost * Math.pow(upg.costMultiplier, upgradesOwned[index]));
-    updateUI();
-    updateUpgradesUI();
-  }
-}
-
 // Update the UI for upgrades
 function updateUpgradesUI() {
+  const state = game.state;
   upgradeDefinitions.forEach((upgrade, index) => {
-    const owned = upgradesOwned[index];
+    // Biome upgrades appear once their biome is unlocked
+    const card = document.getElementById(`upgrade-card-${index}`);
+    if (card) card.classList.toggle('hidden', !EscapeEngine.biomeUnlocked(state, upgrade.biome));
+    const owned = state.upgradesOwned[index];
     const statsEl = document.getElementById(`upgrade-stats-${index}`);
     if (statsEl) {
       let effectDescription = '';
@@ -1167,56 +1882,166 @@ function updateUpgradesUI() {
       } else if (upgrade.effectType === 'animals') {
         effectDescription = `+${Math.round(upgrade.effectValue * 100)}% animals per mission`;
       }
-      statsEl.textContent = `Owned: ${owned} • ${effectDescription} • Next: ${upgradeCosts[index]} coins`;
+      if (upgrade.tag) {
+        effectDescription += ` (${upgrade.tag} ${upgrade.effectType === 'rate' ? 'units' : 'missions'})`;
+      }
+      statsEl.textContent = `Owned: ${formatNumber(owned)} • ${effectDescription} • Next: ${formatNumber(state.upgradeCosts[index])} coins`;
     }
     const btn = document.getElementById(`upgrade-buy-${index}`);
     if (btn) {
-      btn.textContent = `Buy (${upgradeCosts[index]} coins)`;
-      btn.disabled = coins < upgradeCosts[index];
+      updateBuyButton(btn, EscapeEngine.quotePurchase(state, 'upgrade', index, buyQuantity), 'coins');
     }
   });
 }
 
-// Purchase a unit if the player has enough coins
-function purchaseUnit(index) {
-  const cost = nextCosts[index];
-  if (coins >= cost) {
-    coins -= cost;
-    unitsOwned[index] += 1;
-    // Calculate next cost using exponential scaling
-    nextCosts[index] = Math.floor(unitDefinitions[index].baseCost * Math.pow(unitDefinitions[index].costMultiplier, unitsOwned[index]));
-    updateUI();
+// ---- Click Upgrades ----
+
+// Describe what one level of a click upgrade adds
+function describeClickUpgrade(upgrade) {
+  if (upgrade.effectType === 'power') {
+    return `+${formatNumber(upgrade.effectValue)} animals per click`;
+  } else if (upgrade.effectType === 'rateShare') {
+    return `+${Math.round(upgrade.effectValue * 100)}% of rescue rate per click`;
+  } else if (upgrade.effectType === 'crit') {
+    return `+${Math.round(upgrade.effectValue * 100)}% critical rescue chance`;
+  }
+  return `+${formatNumber(upgrade.effectValue * 100, 1)}% per combo step`;
+}
+
+// Create UI for click upgrades, laid out like the regular upgrades
+function initClickUpgrades() {
+  clickUpgradeDefinitions.forEach((upgrade, index) => {
+    const card = document.createElement('div');
+    card.className = 'unit-card';
+
+    const info = document.createElement('div');
+    info.className = 'unit-info';
+
+    const nameEl = document.createElement('div');
+    nameEl.className = 'unit-name';
+    nameEl.textContent = upgrade.name;
+    info.appendChild(nameEl);
+
+    const statsEl = document.createElement('div');
+    statsEl.className = 'unit-stats';
+    statsEl.id = `click-upgrade-stats-${index}`;
+    info.appendChild(statsEl);
+
+    const button = document.createElement('button');
+    button.className = 'buy-button';
+    button.id = `click-upgrade-buy-${index}`;
+    button.textContent = `Buy (${formatNumber(upgrade.baseCost)} coins)`;
+    button.addEventListener('click', () => game.dispatch('buyClickUpgrade', { index: index, quantity: buyQuantity }));
+
+    card.appendChild(info);
+    card.appendChild(button);
+    clickUpgradesContainer.appendChild(card);
+  });
+}
+
+// Update the manual rescue button, combo readout and click upgrade cards
+function updateClickUI() {
+  const state = game.state;
+  manualBtn.textContent = `Rescue +${formatNumber(EscapeEngine.clickPower(state), 1)}`;
+  const now = Date.now();
+  if (now < state.autoClickUntil) {
+    clickComboEl.textContent = 'Auto-clicking detected: clicks rescue the base amount for now';
+  } else if (state.clickCombo > 0 && now - state.lastClickAt <= EscapeEngine.COMBO_WINDOW_MS) {
+    clickComboEl.textContent = `Combo x${formatNumber(EscapeEngine.comboMultiplier(state), 2)} • Crit chance ${Math.round(EscapeEngine.critChance(state) * 100)}%`;
+  } else {
+    clickComboEl.textContent = `Crit chance ${Math.round(EscapeEngine.critChance(state) * 100)}%`;
   }
+  clickUpgradeDefinitions.forEach((upgrade, index) => {
+    const statsEl = document.getElementById(`click-upgrade-stats-${index}`);
+    if (statsEl) {
+      statsEl.textContent = `Owned: ${formatNumber(state.clickUpgradesOwned[index])} • ${describeClickUpgrade(upgrade)} • Next: ${formatNumber(state.clickUpgradeCosts[index])} coins`;
+    }
+    const btn = document.getElementById(`click-upgrade-buy-${index}`);
+    if (btn) {
+      updateBuyButton(btn, EscapeEngine.quotePurchase(state, 'click', index, buyQuantity), 'coins');
+    }
+  });
 }
 
-// Compute the current rescue rate (animals per second)
-function computeRescueRate() {
-  let ratePerSec = 0;
-  unitsOwned.forEach((count, index) => {
-    ratePerSec += (count * unitDefinitions[index].baseRate) / 60;
+// Float the amount of a manual rescue above the button; critical rescues stand out
+function showClickFeedback(event) {
+  const floatEl = document.createElement('span');
+  floatEl.className = event.crit ? 'click-float crit' : 'click-float';
+  floatEl.textContent = `${event.crit ? 'Critical! ' : ''}+${formatNumber(event.amount, 1)}`;
+  manualBtn.parentNode.appendChild(floatEl);
+  setTimeout(() => floatEl.remove(), 800);
+}
+
+/**
+ * Describe a unit's or mission's tags and the tagged bonuses that target
+ * them, e.g. "water • Dolphin +10% • Sea Turtle (not rescued)".
+ * @param {Object} target Unit or mission definition
+ * @param {Array} sources Result of EscapeEngine.bonusesFor()
+ * @returns {string}
+ */
+function describeBonuses(target, sources) {
+  const parts = [(target.tags || []).join(', ')].filter(Boolean);
+  sources.forEach(source => {
+    if (source.active) {
+      const sign = source.effectType === 'time' ? '-' : '+';
+      const suffix = source.effectType === 'time' ? ' time' : source.effectType === 'animals' ? ' animals' : '';
+      parts.push(`${source.name} ${sign}${Math.round(source.value * 100)}%${suffix}`);
+    } else {
+      parts.push(`${source.name} (${source.kind === 'species' ? 'not rescued' : 'not owned'})`);
+    }
   });
-  // Apply global, species, permit and event rate bonuses (additive percentages)
-  ratePerSec *= (1 + globalRateBonus + speciesRateBonus + permitRateBonus + eventRateBonus + achievementRateBonus);
-  return ratePerSec;
+  return parts.join(' • ');
+}
+
+// Describe a unit's terrain multipliers, e.g. "Terrain: water x2, fire x0.5"
+function describeTerrain(unit) {
+  const terrain = unit.terrain || {};
+  const entries = Object.keys(terrain).map(tag => `${tag} x${terrain[tag]}`);
+  return entries.length > 0 ? `Terrain: ${entries.join(', ')}` : '';
+}
+
+// Show the next ownership milestone of a unit and progress since the last one
+function updateUnitMilestone(index, owned) {
+  const milestoneEl = document.getElementById(`unit-milestone-${index}`);
+  const fillEl = document.getElementById(`unit-milestone-fill-${index}`);
+  const multiplier = EscapeEngine.unitMilestoneMultiplier(owned);
+  const next = EscapeEngine.nextUnitMilestone(owned);
+  if (!next) {
+    milestoneEl.textContent = `All milestones reached • x${formatNumber(multiplier)} output`;
+    fillEl.style.width = '100%';
+    return;
+  }
+  const previous = EscapeEngine.UNIT_MILESTONES.filter(m => m.owned <= owned).pop();
+  const start = previous ? previous.owned : 0;
+  const progress = (owned - start) / (next.owned - start);
+  milestoneEl.textContent = `Milestone: ${formatNumber(owned)}/${formatNumber(next.owned)} for x${next.multiplier} output` +
+    (multiplier > 1 ? ` • Now x${formatNumber(multiplier)}` : '');
+  fillEl.style.width = `${Math.round(progress * 100)}%`;
 }
 
 // Update all visible elements
 function updateUI() {
-  coinsEl.textContent = coins.toFixed(1);
-  animalsSavedEl.textContent = Math.floor(animalsSaved);
-  const rate = computeRescueRate();
-  rateEl.textContent = rate.toFixed(2);
+  const state = game.state;
+  // The coin counter is left alone while it animates a claim
+  if (!coinAnimation) coinsEl.textContent = formatNumber(state.coins, 1);
+  animalsSavedEl.textContent = formatNumber(state.animalsSaved);
+  const rate = EscapeEngine.computeRescueRate(state);
+  rateEl.textContent = formatNumber(rate, 2);
   // Update each unit's stats and button label
-  unitDefinitions.forEach((unit, index) => {
+  state.unitDefinitions.forEach((unit, index) => {
     const statsEl = document.getElementById(`unit-stats-${index}`);
-    const owned = unitsOwned[index];
-    statsEl.textContent = `Owned: ${owned} • Rate: ${(unit.baseRate * owned).toFixed(1)} animals/min • Next: ${nextCosts[index]} coins`;
+    const owned = state.unitsOwned[index];
+    const deployed = EscapeEngine.deployedUnits(state, index);
+    const ownedText = deployed > 0 ? `${formatNumber(owned)} (${formatNumber(deployed)} on mission)` : formatNumber(owned);
+    statsEl.textContent = `Owned: ${ownedText} • Rate: ${formatNumber(EscapeEngine.unitRate(state, index), 1)} animals/min • Next: ${formatNumber(state.nextCosts[index])} coins`;
+    document.getElementById(`unit-bonuses-${index}`).textContent = describeBonuses(unit, EscapeEngine.bonusesFor(state, 'unit', unit));
+    updateUnitMilestone(index, owned);
     const button = document.getElementById(`unit-buy-${index}`);
-    button.textContent = `Buy (${nextCosts[index]} coins)`;
-    button.disabled = coins < nextCosts[index];
+    updateBuyButton(button, EscapeEngine.quotePurchase(state, 'unit', index, buyQuantity), 'coins');
   });
   // Also update upgrade buttons availability whenever UI refreshes
   updateUpgradesUI();
+  updateClickUI();
   // Update permits display whenever general UI updates (coins/animals/lifetime)
   updatePermitsUI();
   // Update achievements and questline UI to reflect progress and claimability
@@ -1226,98 +2051,332 @@ function updateUI() {
   updateBiomesUI();
 }
 
-// Start a new mission based on the currentMissionIndex
-function startMission() {
-  const mission = missions[currentMissionIndex];
-  missionActive = true;
-  // Apply time reduction (percentage) from upgrades, species, permits and events to mission duration
-  let totalReduction = globalTimeReduction + speciesTimeReduction + permitTimeReduction + eventTimeReduction + achievementTimeReduction;
-  // Cap total reduction at 90% to avoid negative durations
-  if (totalReduction > 0.9) totalReduction = 0.9;
-  const adjustedDuration = mission.duration * (1 - totalReduction);
-  missionTimeLeft = adjustedDuration;
-  totalAnimalsForMission = Math.round(mission.baseRisk * mission.difficulty);
-  animalsAtRisk = totalAnimalsForMission;
-  updateMissionUI();
-}
-
-// Finish the current mission, award coins, update safe haven and tasks
-function finishMission() {
-  missionActive = false;
-  const mission = missions[currentMissionIndex];
-  // Apply animal bonus (from upgrades and species) when calculating saved animals
-  const baseSaved = totalAnimalsForMission - animalsAtRisk;
-  if (baseSaved > 0) {
-    const bonusMultiplier = 1 + globalAnimalBonus + speciesAnimalBonus + permitAnimalBonus + eventAnimalBonus + achievementAnimalBonus;
-    const savedNow = Math.floor(baseSaved * bonusMultiplier);
-    coins += savedNow;
-    animalsSaved += savedNow;
-    // Increment lifetime animals saved for prestige calculations
-    lifetimeAnimalsSaved += savedNow;
-
-    // Update season total and best record.  Missions contribute their
-    // saved animals toward the season tally.  If this season’s total exceeds
-    // the previous record, update bestSeasonTotal.  Afterwards refresh
-    // the season stats UI.
-    seasonAnimalsSaved += savedNow;
-    if (seasonAnimalsSaved > bestSeasonTotal) {
-      bestSeasonTotal = seasonAnimalsSaved;
-    }
-    updateSeasonStatsUI();
-    missionsCompleted += 1;
-    // Mark species as saved if present in speciesList
-    const species = mission.species;
-    speciesList.forEach(sp => {
-      if (sp.name === species) {
-        sp.saved = true;
-      }
-    });
-      // Track rescued animals in reserve. Each saved animal becomes a dot.
-      const spName = mission.species;
-      if (!reserveCounts[spName]) reserveCounts[spName] = 0;
-      // Increase count for species
-      reserveCounts[spName] += savedNow;
-      // After updating the count for this species, refresh species bonuses and
-      // update the Sanctuary cards view. We no longer rebuild diorama clusters
-      // because the diorama/map view has been removed.
-      updateSpeciesBonuses();
-      // Rebuild reserve dots (kept for potential future use) and update cards
+/**
+ * Re-render after every change to the game state.  Registered with
+ * game.subscribe() in init(), so ticks, purchases, claims and prestige all
+ * refresh the same views.  Engine events that change the shape of the game
+ * (a new biome, a finished mission) also rebuild the affected elements.
+ * @param {Object} state The game state
+ * @param {{type: string, result: *, events: Object[]}} change
+ */
+function onGameChange(state, change) {
+  change.events.forEach(event => {
+    if (event.type === 'biomeUnlocked') {
+      // New species need colors and cards, new units need buy buttons
+      applyBiomeVisuals(event.biome);
+      syncUnitCards();
+      initCards();
+      refreshReserveMap();
+    } else if (event.type === 'manualRescue') {
+      showClickFeedback(event);
+    } else if (event.type === 'missionFinished' && event.saved > 0) {
+      // New arrivals join the reserve map
       rebuildReserveDots();
-      updateCards();
+    }
+  });
+  if (change.type === 'prestige' && change.result) {
+    rebuildReserveDots();
+  } else if ((change.type === 'buyPermitNode' || change.type === 'respecPermits') && change.result) {
+    // Map Upgrade levels show the tab and reveal more of the map
+    refreshReserveMap();
   }
   updateUI();
+  updateMissionUI();
   updateTasksUI();
+  updateEventUI();
+  updateSeasonStatsUI();
   // Update Sanctuary cards instead of Safe Haven
   updateCards();
-  // Update achievements and questline progress
-  updateAchievementsUI();
-  updateQuestUI();
-  // Advance to next mission
-  currentMissionIndex = (currentMissionIndex + 1) % missions.length;
-  startMission();
 }
 
 // Update mission panel UI
 function updateMissionUI() {
-  if (!missionActive) return;
-  const mission = missions[currentMissionIndex];
+  const state = game.state;
+  updateMissionOutcomeUI();
+  updateMissionBoardUI();
+  updateDispatchUI();
+  const mission = state.currentMission;
+  if (!mission) {
+    missionNameEl.textContent = 'Mission: – pick one from the board';
+    missionTagsEl.textContent = '';
+    missionTimeEl.textContent = '0';
+    animalsAtRiskEl.textContent = '0';
+    missionProgressEl.style.width = '0%';
+    return;
+  }
   missionNameEl.textContent = `Mission: ${mission.name}`;
-  missionTimeEl.textContent = Math.max(0, Math.floor(missionTimeLeft));
-  animalsAtRiskEl.textContent = Math.max(0, Math.ceil(animalsAtRisk));
+  missionTagsEl.textContent = describeBonuses(mission, EscapeEngine.bonusesFor(state, 'mission', mission));
+  missionTimeEl.textContent = formatNumber(Math.max(0, Math.floor(state.missionTimeLeft)));
+  animalsAtRiskEl.textContent = formatNumber(Math.max(0, Math.ceil(state.animalsAtRisk)));
   // Update progress bar
-  const progress = totalAnimalsForMission > 0 ? ((totalAnimalsForMission - animalsAtRisk) / totalAnimalsForMission) * 100 : 0;
+  const total = state.totalAnimalsForMission;
+  const progress = total > 0 ? ((total - state.animalsAtRisk) / total) * 100 : 0;
   missionProgressEl.style.width = `${Math.max(0, Math.min(100, progress))}%`;
 }
 
+// ---- Mission Outcomes ----
+
+// Labels for mission outcomes
+const MISSION_OUTCOME_LABELS = { success: 'Success', partial: 'Partial success', failed: 'Failed' };
+
+// Star rating out of three, e.g. ★★☆
+function formatRating(rating) {
+  return '★'.repeat(rating) + '☆'.repeat(3 - rating);
+}
+
+// Show the result of the last mission and offer a retry after a failure
+function updateMissionOutcomeUI() {
+  const state = game.state;
+  const last = state.lastOutcome;
+  missionOutcomeEl.classList.toggle('hidden', !last);
+  if (!last) return;
+  missionOutcomeEl.className = `mission-outcome outcome-${last.outcome}`;
+  missionOutcomeTextEl.textContent = `Last: ${last.name} — ${MISSION_OUTCOME_LABELS[last.outcome]} ${formatRating(last.rating)} • ` +
+    `${formatNumber(last.saved)} saved • ${formatNumber(last.lost)} lost • +${formatNumber(last.reward)} coins`;
+  const retry = state.retryOffer;
+  retryMissionBtn.classList.toggle('hidden', !retry);
+  if (retry) {
+    retryMissionBtn.textContent = `Retry (difficulty ${retry.difficulty.toFixed(2)}, reward ${formatNumber(retry.reward)})`;
+    retryMissionBtn.disabled = !!state.currentMission;
+  }
+}
+
+// ---- Unit Dispatch ----
+
+// Mission and units the dispatch list was last built for
+let renderedDispatchKey = null;
+
+// Build one dispatch row for a unit type
+function createDispatchRow(unit, index, mission) {
+  const row = document.createElement('div');
+  row.className = 'dispatch-row';
+  const label = document.createElement('span');
+  label.className = 'dispatch-label';
+  label.id = `dispatch-label-${index}`;
+  row.appendChild(label);
+  const multiplier = EscapeEngine.terrainMultiplier(unit, mission);
+  const terrainEl = document.createElement('span');
+  terrainEl.className = multiplier > 1 ? 'dispatch-terrain good' : multiplier < 1 ? 'dispatch-terrain poor' : 'dispatch-terrain';
+  terrainEl.textContent = `x${multiplier} terrain`;
+  row.appendChild(terrainEl);
+  [
+    { text: 'Send 1', type: 'deployUnits', quantity: 1 },
+    { text: 'Send all', type: 'deployUnits', quantity: EscapeEngine.BUY_MAX },
+    { text: 'Recall', type: 'recallUnits', quantity: EscapeEngine.BUY_MAX }
+  ].forEach(action => {
+    const button = document.createElement('button');
+    button.className = 'quantity-button dispatch-button';
+    button.textContent = action.text;
+    button.dataset.index = index;
+    button.dataset.action = action.type;
+    button.addEventListener('click', () => game.dispatch(action.type, { index: index, quantity: action.quantity }));
+    row.appendChild(button);
+  });
+  return row;
+}
+
+// Show the units that can be dispatched to the running mission
+function updateDispatchUI() {
+  const state = game.state;
+  const mission = state.currentMission;
+  const owned = state.unitDefinitions.map((unit, index) => index).filter(index => state.unitsOwned[index] > 0);
+  dispatchPanelEl.classList.toggle('hidden', !mission || owned.length === 0);
+  if (!mission || owned.length === 0) {
+    renderedDispatchKey = null;
+    return;
+  }
+  const key = `${mission.id}:${mission.name}:${owned.join(',')}`;
+  if (key !== renderedDispatchKey) {
+    renderedDispatchKey = key;
+    dispatchListEl.innerHTML = '';
+    owned.forEach(index => dispatchListEl.appendChild(createDispatchRow(state.unitDefinitions[index], index, mission)));
+  }
+  owned.forEach(index => {
+    const deployed = EscapeEngine.deployedUnits(state, index);
+    document.getElementById(`dispatch-label-${index}`).textContent =
+      `${state.unitDefinitions[index].name}: ${formatNumber(deployed)}/${formatNumber(state.unitsOwned[index])} sent`;
+  });
+  dispatchListEl.querySelectorAll('.dispatch-button').forEach(button => {
+    const index = Number(button.dataset.index);
+    const deployed = EscapeEngine.deployedUnits(state, index);
+    button.disabled = button.dataset.action === 'recallUnits' ? deployed === 0 : deployed >= state.unitsOwned[index];
+  });
+  const teamRate = EscapeEngine.computeMissionRate(state) * 60;
+  dispatchRateEl.textContent = `Dispatched units rescue ${formatNumber(teamRate, 1)} animals/min on this mission`;
+}
+
+// ---- Mission Board ----
+
+// Offer IDs the board was last built for, so cards are only rebuilt when
+// the offers change
+let renderedBoardKey = null;
+
+// Build one offer card with its details and Start button
+function createOfferCard(offer) {
+  const state = game.state;
+  const card = document.createElement('div');
+  card.className = offer.crisis ? 'offer-card crisis' : 'offer-card';
+  // The seed regenerates this mission with EscapeEngine.generateMission()
+  card.title = `Mission seed ${offer.seed}`;
+
+  const nameEl = document.createElement('div');
+  nameEl.className = 'offer-name';
+  const biome = offer.biome && biomeDefinitions.find(b => b.id === offer.biome);
+  nameEl.textContent = `${offer.name} (${offer.species}${biome ? `, ${biome.name}` : ''})`;
+  card.appendChild(nameEl);
+
+  const statsEl = document.createElement('div');
+  statsEl.className = 'offer-stats';
+  const atRisk = Math.round(offer.baseRisk * offer.difficulty);
+  statsEl.textContent = `${formatDuration(offer.duration)} • ${formatNumber(atRisk)} at risk • Difficulty ${offer.difficulty.toFixed(2)} • Reward ${formatNumber(offer.reward)} coins` +
+    (offer.threat > 0 ? ` • Threat ${offer.threat}` : '') +
+    (offer.crisis ? ' • Counts toward the event goal; ends with the event' : '');
+  card.appendChild(statsEl);
+
+  const bonusesEl = document.createElement('div');
+  bonusesEl.className = 'bonus-list';
+  bonusesEl.textContent = describeBonuses(offer, EscapeEngine.bonusesFor(state, 'mission', offer));
+  card.appendChild(bonusesEl);
+
+  const button = document.createElement('button');
+  button.className = 'buy-button offer-start';
+  button.textContent = 'Start';
+  button.addEventListener('click', () => game.dispatch('startMission', { id: offer.id }));
+  card.appendChild(button);
+  return card;
+}
+
+// Show the offers on the mission board and when they are replaced
+function updateMissionBoardUI() {
+  const state = game.state;
+  const key = state.missionBoard.map(offer => offer.id).join(',');
+  if (key !== renderedBoardKey) {
+    renderedBoardKey = key;
+    missionBoardEl.innerHTML = '';
+    state.missionBoard.forEach(offer => missionBoardEl.appendChild(createOfferCard(offer)));
+  }
+  missionBoardEl.querySelectorAll('.offer-start').forEach(button => {
+    button.disabled = !!state.currentMission;
+  });
+  const secondsLeft = Math.max(0, Math.ceil((state.boardRefreshAt - state.now) / 1000));
+  boardRefreshEl.textContent = `New offers in ${formatDuration(secondsLeft)}`;
+}
+
+// ---- Mission History ----
+
+// Recent missions listed in the history view
+const MISSION_HISTORY_SHOWN = 15;
+
+// Append a table with a header row and one row per entry of rows
+function appendTable(parent, headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'history-table';
+  const headRow = document.createElement('tr');
+  headers.forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  table.appendChild(headRow);
+  rows.forEach(cells => {
+    const tr = document.createElement('tr');
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  parent.appendChild(table);
+}
+
+// Show per-mission statistics and the most recent missions
+function showMissionHistory() {
+  const history = game.state.missionHistory;
+  const body = document.createElement('div');
+  if (history.length === 0) {
+    const note = document.createElement('p');
+    note.className = 'report-note';
+    note.textContent = 'Finished missions will be listed here.';
+    body.appendChild(note);
+    openModal('Mission History', body, [{ label: 'Close', onClick: closeModal }]);
+    return;
+  }
+  const statsHeading = document.createElement('h3');
+  statsHeading.className = 'report-heading';
+  statsHeading.textContent = 'Per mission';
+  body.appendChild(statsHeading);
+  appendTable(body, ['Mission', 'Runs', 'Best time', 'Avg saved', 'Success'],
+    EscapeEngine.missionStatistics(history).map(stats => [
+      stats.type,
+      formatNumber(stats.runs),
+      stats.bestTime === null ? '–' : formatDuration(stats.bestTime),
+      formatNumber(stats.averageSaved, 1),
+      `${Math.round(stats.successRate * 100)}%`
+    ]));
+  const recentHeading = document.createElement('h3');
+  recentHeading.className = 'report-heading';
+  recentHeading.textContent = 'Recent missions';
+  body.appendChild(recentHeading);
+  appendTable(body, ['Mission', 'Outcome', 'Time', 'Saved / at risk', 'Bonus', 'Coins'],
+    history.slice(-MISSION_HISTORY_SHOWN).reverse().map(entry => [
+      entry.name,
+      `${MISSION_OUTCOME_LABELS[entry.outcome]} ${formatRating(entry.rating)}`,
+      formatDuration(entry.durationUsed),
+      `${formatNumber(entry.rescued)} / ${formatNumber(entry.atRisk)}`,
+      `x${entry.bonusMultiplier.toFixed(2)}`,
+      formatNumber(entry.coins)
+    ]));
+  openModal('Mission History', body, [
+    { label: 'Export CSV', className: 'secondary', onClick: exportMissionHistory },
+    { label: 'Close', onClick: closeModal }
+  ]);
+}
+
+// Quote a CSV field if it contains a separator, quote or line break
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Download the whole mission history as a CSV file
+function exportMissionHistory() {
+  const header = ['mission', 'type', 'species', 'outcome', 'rating', 'started_at', 'ended_at', 'duration_seconds',
+    'animals_rescued', 'animals_at_risk', 'bonus_multiplier', 'animals_saved', 'coins_earned'];
+  const lines = [header.join(',')];
+  game.state.missionHistory.forEach(entry => {
+    lines.push([
+      entry.name,
+      entry.type,
+      entry.species,
+      entry.outcome,
+      entry.rating,
+      new Date(entry.startedAt).toISOString(),
+      new Date(entry.endedAt).toISOString(),
+      entry.durationUsed.toFixed(1),
+      entry.rescued,
+      entry.atRisk,
+      entry.bonusMultiplier.toFixed(4),
+      entry.saved,
+      entry.coins
+    ].map(csvField).join(','));
+  });
+  const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+  const a = document.createElement('a');
+  const date = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  a.download = `ExtinctionEscape-Missions-${date}.csv`;
+  a.href = URL.createObjectURL(blob);
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
 // Update tasks UI
 function updateTasksUI() {
   tasksListEl.innerHTML = '';
   tasks.forEach(task => {
-    const completed = !!tasksCompleted[task.id] || task.check();
-    if (completed) tasksCompleted[task.id] = true;
     const li = document.createElement('li');
     li.textContent = task.description;
-    if (tasksCompleted[task.id]) {
+    if (game.state.tasksCompleted[task.id]) {
       li.classList.add('completed');
     }
     tasksListEl.appendChild(li);
@@ -1327,7 +2386,7 @@ function updateTasksUI() {
 // Update safe haven UI
 function updateHavenUI() {
   safeHavenEl.innerHTML = '';
-  speciesList.forEach(sp => {
+  game.state.speciesList.forEach(sp => {
     const card = document.createElement('div');
     card.className = 'species-card';
     if (!sp.saved) {
@@ -1359,14 +2418,16 @@ function initAchievements() {
 function updateAchievementsUI() {
   const achievementsListEl = document.getElementById('achievements-list');
   if (!achievementsListEl) return;
+  const state = game.state;
   // Clear existing content
   achievementsListEl.innerHTML = '';
-  achievements.forEach(ach => {
+  // Achievements of locked biomes stay out of the list until unlocked
+  achievements.filter(ach => EscapeEngine.biomeUnlocked(state, ach.biome)).forEach(ach => {
     const li = document.createElement('li');
     li.className = 'achievement-item';
     // Determine if achievement is completed or ready to claim
-    const completed = !!achievementsCompleted[ach.id];
-    const metRequirement = ach.check();
+    const completed = !!state.achievementsCompleted[ach.id];
+    const metRequirement = ach.check(state);
     // Set text
     li.textContent = ach.description;
     if (completed) {
@@ -1378,7 +2439,7 @@ function updateAchievementsUI() {
       btn.className = 'claim-button';
       btn.textContent = 'Claim';
       btn.addEventListener('click', () => {
-        claimAchievement(ach.id);
+        game.dispatch('claimAchievement', ach.id);
       });
       li.appendChild(btn);
     }
@@ -1386,33 +2447,6 @@ function updateAchievementsUI() {
   });
 }
 
-// Claim an achievement reward and mark it complete
-function claimAchievement(id) {
-  const ach = achievements.find(a => a.id === id);
-  if (!ach) return;
-  // If already completed or requirement not met, do nothing
-  if (achievementsCompleted[id] || !ach.check()) return;
-  achievementsCompleted[id] = true;
-  // Apply reward based on type
-  if (ach.rewardType === 'coins') {
-    coins += ach.rewardValue;
-  } else if (ach.rewardType === 'rate') {
-    achievementRateBonus += ach.rewardValue;
-  } else if (ach.rewardType === 'time') {
-    achievementTimeReduction += ach.rewardValue;
-    // Cap time reduction at 0.9 to avoid negative mission duration
-    if (achievementTimeReduction + globalTimeReduction + speciesTimeReduction + permitTimeReduction + eventTimeReduction > 0.9) {
-      achievementTimeReduction = 0.9 - (globalTimeReduction + speciesTimeReduction + permitTimeReduction + eventTimeReduction);
-      if (achievementTimeReduction < 0) achievementTimeReduction = 0;
-    }
-  } else if (ach.rewardType === 'animals') {
-    achievementAnimalBonus += ach.rewardValue;
-  }
-  // Refresh UI and bonuses
-  updateUI();
-  updateAchievementsUI();
-}
-
 // Initialize questline UI
 function initQuest() {
   updateQuestUI();
@@ -1422,27 +2456,28 @@ function initQuest() {
 function updateQuestUI() {
   const questContainer = document.getElementById('quest-content');
   if (!questContainer) return;
+  const state = game.state;
   questContainer.innerHTML = '';
   // If quest completed
-  if (currentQuestStep >= questSteps.length) {
+  if (state.currentQuestStep >= questSteps.length) {
     const finished = document.createElement('p');
     finished.textContent = 'Congratulations! The reef has been rebuilt!';
     questContainer.appendChild(finished);
     return;
   }
-  const step = questSteps[currentQuestStep];
+  const step = questSteps[state.currentQuestStep];
   const p = document.createElement('p');
   p.textContent = step.description;
   questContainer.appendChild(p);
   // Determine if requirement met and not yet claimed
-  const completed = questStepsClaimed[currentQuestStep];
-  const readyToClaim = step.check() && !completed;
+  const completed = state.questStepsClaimed[state.currentQuestStep];
+  const readyToClaim = step.check(state) && !completed;
   if (readyToClaim) {
     const btn = document.createElement('button');
     btn.className = 'quest-button';
     btn.textContent = 'Claim Reward';
     btn.addEventListener('click', () => {
-      claimQuestReward();
+      game.dispatch('claimQuestReward');
     });
     questContainer.appendChild(btn);
   } else {
@@ -1461,118 +2496,137 @@ function updateQuestUI() {
   }
 }
 
-// Claim the current quest step reward and advance to next step
-function claimQuestReward() {
-  if (currentQuestStep >= questSteps.length) return;
-  const step = questSteps[currentQuestStep];
-  // Ensure requirement met and not yet claimed
-  if (!step.check() || questStepsClaimed[currentQuestStep]) return;
-  questStepsClaimed[currentQuestStep] = true;
-  // Apply reward
-  if (step.rewardType === 'coins') {
-    coins += step.rewardValue;
-  } else if (step.rewardType === 'rate') {
-    achievementRateBonus += step.rewardValue;
-  } else if (step.rewardType === 'time') {
-    achievementTimeReduction += step.rewardValue;
-    if (achievementTimeReduction + globalTimeReduction + speciesTimeReduction + permitTimeReduction + eventTimeReduction > 0.9) {
-      achievementTimeReduction = 0.9 - (globalTimeReduction + speciesTimeReduction + permitTimeReduction + eventTimeReduction);
-      if (achievementTimeReduction < 0) achievementTimeReduction = 0;
-    }
-  } else if (step.rewardType === 'animals') {
-    achievementAnimalBonus += step.rewardValue;
-  } else if (step.rewardType === 'permit') {
-    // Grant permits directly (adds to available permits and total)
-    permitsAvailable += step.rewardValue;
-    permitsTotal += step.rewardValue;
-  }
-  // Advance to next step
-  currentQuestStep += 1;
-  updateQuestUI();
-  // Refresh UI to show updated counts and bonuses
-  updateUI();
-  updatePermitsUI();
-}
-
 // ---- Permits and Prestige System ----
 
-// Compute permit bonuses based on purchased upgrades
-function applyPermitBonuses() {
-  permitRateBonus = permitUpgrades.rate * permitUpgradeDefinitions[0].effectValue;
-  permitAnimalBonus = permitUpgrades.animals * permitUpgradeDefinitions[1].effectValue;
-  permitTimeReduction = permitUpgrades.time * permitUpgradeDefinitions[2].effectValue;
-  // Map upgrade effect currently has no gameplay impact
+/**
+ * Describe a permit tree effect for a number of levels, e.g. "+10% rescue
+ * rate" or "+4h offline cap".
+ * @param {Object} def Permit tree node definition
+ * @param {number} levels
+ * @returns {string}
+ */
+function describePermitEffect(def, levels) {
+  const value = def.effectValue * levels;
+  const percent = Math.round(value * 100);
+  switch (def.effect) {
+    case 'rate': return `+${percent}% rescue rate`;
+    case 'animals': return `+${percent}% mission animals`;
+    case 'time': return `-${percent}% mission time`;
+    case 'offlineHours': return `+${formatNumber(value)}h offline cap`;
+    case 'boardSlots': return `+${formatNumber(value)} mission board slot${value === 1 ? '' : 's'}`;
+    case 'startingCoins': return `Start new reserves with ${formatNumber(value)} coins`;
+    case 'biomeDiscount': return `Biomes cost ${formatNumber(value)} fewer permit${value === 1 ? '' : 's'}`;
+    case 'mapLevel': return value === 1 ? 'Unlocks the Reserve Map' : `Reserve Map level ${formatNumber(value)}`;
+    case 'autoBuy': return value >= 2 ? 'Auto-buys units and upgrades' : 'Auto-buys units';
+    default: return 'Special bonus';
+  }
 }
 
-// Initialize the permits shop UI and hook up events
+// "Requires Rescue Training 1, Animal Care 2" for a node with prerequisites
+function describePermitRequirements(def) {
+  if (def.requires.length === 0) return '';
+  const names = def.requires.map(req => {
+    const node = permitTreeDefinitions.find(n => n.id === req.id);
+    return `${node.name} ${req.level}`;
+  });
+  return `Requires ${names.join(', ')}`;
+}
+
+// Initialize the permit tree UI, one column per branch, and hook up events
 function initPermits() {
   // Clear any existing content
   if (permitsContainerEl) permitsContainerEl.innerHTML = '';
-  permitUpgradeDefinitions.forEach((def, index) => {
+  const branches = {};
+  permitTreeDefinitions.forEach(def => {
+    if (!branches[def.branch]) {
+      const column = document.createElement('div');
+      column.className = 'permit-branch';
+      const heading = document.createElement('h4');
+      heading.textContent = def.branch;
+      column.appendChild(heading);
+      permitsContainerEl.appendChild(column);
+      branches[def.branch] = column;
+    }
     const card = document.createElement('div');
     card.className = 'permits-card';
+    card.id = `permit-node-${def.id}`;
     const info = document.createElement('div');
     info.className = 'info';
     const title = document.createElement('div');
     title.className = 'title';
-    title.textContent = def.name;
+    title.id = `permit-title-${def.id}`;
     info.appendChild(title);
     const desc = document.createElement('div');
     desc.className = 'desc';
-    desc.id = `permit-desc-${index}`;
-    desc.textContent = '';
+    desc.id = `permit-desc-${def.id}`;
     info.appendChild(desc);
+    const requires = document.createElement('div');
+    requires.className = 'requires';
+    requires.textContent = describePermitRequirements(def);
+    info.appendChild(requires);
     card.appendChild(info);
     const btn = document.createElement('button');
     btn.className = 'permit-buy-button';
-    btn.id = `permit-buy-${index}`;
-    btn.textContent = `Buy (${permitUpgradeCosts[index]} permits)`;
-    btn.addEventListener('click', () => purchasePermitUpgrade(index));
+    btn.id = `permit-buy-${def.id}`;
+    btn.addEventListener('click', () => game.dispatch('buyPermitNode', { id: def.id }));
     card.appendChild(btn);
-    permitsContainerEl.appendChild(card);
+    branches[def.branch].appendChild(card);
   });
+  // Respec refunds every permit spent on the tree
+  if (permitRespecButton) {
+    permitRespecButton.addEventListener('click', () => {
+      const refund = EscapeEngine.permitTreeRefund(game.state);
+      if (confirm(`Reset the permit tree and get ${formatNumber(refund)} permits back?`)) {
+        game.dispatch('respecPermits');
+      }
+    });
+  }
   // Prestige button
   if (prestigeButton) {
-    prestigeButton.addEventListener('click', () => {
-      prestige();
-    });
+    prestigeButton.addEventListener('click', showPrestigePreview);
   }
 }
 
-// Update the permits UI elements: counts, shop and prestige information
+// Update the permits UI elements: counts, tree and prestige information
 function updatePermitsUI() {
-  if (permitsCountEl) permitsCountEl.textContent = permitsAvailable.toString();
-  if (lifetimeSavedEl) lifetimeSavedEl.textContent = Math.floor(lifetimeAnimalsSaved).toString();
-  // Update each permit upgrade card
-  permitUpgradeDefinitions.forEach((def, index) => {
-    const owned = permitUpgrades[def.effectType] || 0;
-    const cost = permitUpgradeCosts[index];
-    const descEl = document.getElementById(`permit-desc-${index}`);
+  const state = game.state;
+  if (permitsCountEl) permitsCountEl.textContent = formatNumber(state.permitsAvailable);
+  if (lifetimeSavedEl) lifetimeSavedEl.textContent = formatNumber(state.lifetimeAnimalsSaved);
+  // Update each permit tree node
+  permitTreeDefinitions.forEach(def => {
+    const level = EscapeEngine.permitLevel(state, def.id);
+    const status = EscapeEngine.permitNodeStatus(state, def.id);
+    const card = document.getElementById(`permit-node-${def.id}`);
+    if (card) card.dataset.status = status;
+    const titleEl = document.getElementById(`permit-title-${def.id}`);
+    if (titleEl) titleEl.textContent = `${def.name} ${level}/${def.maxLevel}`;
+    const descEl = document.getElementById(`permit-desc-${def.id}`);
     if (descEl) {
-      let effectDesc = '';
-      if (def.effectType === 'rate') {
-        effectDesc = `+${Math.round(def.effectValue * 100)}% rescue rate`;
-      } else if (def.effectType === 'animals') {
-        effectDesc = `+${Math.round(def.effectValue * 100)}% mission animals`;
-      } else if (def.effectType === 'time') {
-        effectDesc = `-${Math.round(def.effectValue * 100)}% mission time`;
-      } else {
-        effectDesc = 'Special bonus';
-      }
-      descEl.textContent = `Owned: ${owned} • ${effectDesc} • Next: ${cost} permits`;
+      const current = level > 0 ? describePermitEffect(def, level) : 'Not learned';
+      descEl.textContent = status === 'maxed'
+        ? current
+        : `${current} • Next: ${describePermitEffect(def, level + 1)}`;
     }
-    const btn = document.getElementById(`permit-buy-${index}`);
+    const btn = document.getElementById(`permit-buy-${def.id}`);
     if (btn) {
-      btn.textContent = `Buy (${cost} permits)`;
-      btn.disabled = permitsAvailable < cost;
+      if (status === 'maxed') {
+        btn.textContent = 'Maxed';
+      } else {
+        btn.textContent = `Buy (${formatNumber(EscapeEngine.permitNodeCost(state, def.id))} permits)`;
+      }
+      btn.disabled = status !== 'available';
     }
   });
+  if (permitRespecButton) {
+    const refund = EscapeEngine.permitTreeRefund(state);
+    permitRespecButton.textContent = `Respec (refund ${formatNumber(refund)} permits)`;
+    permitRespecButton.disabled = refund <= 0;
+  }
   // Update prestige info
   if (prestigeInfoEl && prestigeButton) {
-    const expectedTotal = Math.floor(lifetimeAnimalsSaved / 1000);
-    const newPermits = expectedTotal - permitsTotal;
+    const newPermits = EscapeEngine.pendingPermits(state);
     if (newPermits > 0) {
-      prestigeInfoEl.textContent = `Earn ${newPermits} new permit${newPermits === 1 ? '' : 's'} by founding a new reserve.`;
+      prestigeInfoEl.textContent = `Earn ${formatNumber(newPermits)} new permit${newPermits === 1 ? '' : 's'} by founding a new reserve.`;
       prestigeButton.disabled = false;
     } else {
       prestigeInfoEl.textContent = 'No new permits available yet. Save more animals to earn more.';
@@ -1582,6 +2636,112 @@ function updatePermitsUI() {
   }
 }
 
+// Add a report heading and a list of [label, value] rows to a dialog body
+function addReportSection(body, heading, rows) {
+  const headingEl = document.createElement('h3');
+  headingEl.className = 'report-heading';
+  headingEl.textContent = heading;
+  body.appendChild(headingEl);
+  const list = document.createElement('ul');
+  list.className = 'report-list';
+  rows.forEach(row => addReportRow(list, row[0], row[1]));
+  body.appendChild(list);
+  return list;
+}
+
+// "3 permits" or "1 permit"
+function formatPermits(count) {
+  return `${formatNumber(count)} permit${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show what founding a new reserve would do before doing it: the permits
+ * earned now, the way to the next permit, a wait vs. reset comparison and
+ * exactly what resets and what persists.  Confirming prestiges and plays
+ * the summary of the finished reserve.
+ */
+function showPrestigePreview() {
+  const state = game.state;
+  const preview = EscapeEngine.prestigePreview(state);
+  const reserve = preview.reserve;
+  const body = document.createElement('div');
+  const intro = document.createElement('p');
+  intro.className = 'report-note';
+  intro.textContent = `Founding Reserve #${formatNumber(reserve.number + 1)} ends Reserve #${formatNumber(reserve.number)} and earns ${formatPermits(preview.permits)}.`;
+  body.appendChild(intro);
+  const eta = preview.secondsToNextPermit;
+  const etaText = isFinite(eta) ? formatDuration(eta) : 'never at the current rate';
+  addReportSection(body, 'Permits', [
+    ['Permits earned now', formatNumber(preview.permits)],
+    ['Lifetime rescued', formatNumber(state.lifetimeAnimalsSaved)],
+    ['Rescues to the next permit', formatNumber(Math.ceil(preview.animalsToNextPermit))],
+    [`Time at ${formatNumber(preview.rescueRate, 2)} animals/sec`, etaText]
+  ]);
+  addReportSection(body, 'Wait or reset now?', [
+    ['Reset now', `${formatPermits(preview.permits)}, restart with ${formatNumber(preview.startingCoins)} coins`],
+    [isFinite(eta) ? `Wait ${etaText}` : 'Wait', isFinite(eta) ? `${formatPermits(preview.permits + 1)}, keep this reserve` : 'No units are rescuing yet']
+  ]);
+  addReportSection(body, 'Resets', [
+    ['Coins', formatNumber(reserve.coins)],
+    ['Animals saved this reserve', formatNumber(reserve.animalsSaved)],
+    ['Rescue units', formatNumber(reserve.unitsOwned)],
+    ['Upgrades and click upgrades', formatNumber(reserve.upgradesOwned + reserve.clickUpgradesOwned)],
+    ['Species saved', formatNumber(reserve.speciesSaved)],
+    ['Goals completed', formatNumber(reserve.tasksCompleted)],
+    ['Missions completed', formatNumber(reserve.missionsCompleted)],
+    ['Animals in the reserve', formatNumber(reserve.reserveAnimals)],
+    ['Season total', formatNumber(reserve.seasonAnimalsSaved)],
+    ['Running mission, board and threat levels', 'cleared']
+  ]);
+  const treeLevels = permitTreeDefinitions.reduce((sum, def) => sum + EscapeEngine.permitLevel(state, def.id), 0);
+  addReportSection(body, 'Persists', [
+    ['Permits', `${formatNumber(state.permitsTotal + preview.permits)} earned, ${formatNumber(state.permitsAvailable + preview.permits)} to spend`],
+    ['Permit tree levels owned', formatNumber(treeLevels)],
+    ['Lifetime rescued', formatNumber(state.lifetimeAnimalsSaved)],
+    ['Best season', formatNumber(state.bestSeasonTotal)],
+    ['Unlocked biomes, achievements and questline', 'kept'],
+    ['Species mastery and field guide history', 'kept'],
+    ['Mission history and outcome totals', 'kept']
+  ]);
+  openModal(`Found Reserve #${formatNumber(reserve.number + 1)}?`, body, [
+    {
+      label: 'Found New Reserve',
+      onClick: btn => {
+        btn.disabled = true;
+        if (game.dispatch('prestige')) {
+          showReserveSummary(preview);
+        } else {
+          closeModal();
+        }
+      }
+    },
+    { label: 'Keep Playing', className: 'secondary', onClick: closeModal }
+  ]);
+}
+
+// Play the summary of a finished reserve: its rows appear one after another
+function showReserveSummary(preview) {
+  const reserve = preview.reserve;
+  const body = document.createElement('div');
+  const list = addReportSection(body, `Reserve #${formatNumber(reserve.number)}`, [
+    ['Animals saved', formatNumber(reserve.animalsSaved)],
+    ['Missions completed', formatNumber(reserve.missionsCompleted)],
+    ['Species saved', formatNumber(reserve.speciesSaved)],
+    ['Animals in the reserve', formatNumber(reserve.reserveAnimals)],
+    ['Largest herd', reserve.topSpecies || 'none'],
+    ['Rescue units', formatNumber(reserve.unitsOwned)],
+    ['Permits earned', formatNumber(preview.permits)],
+    ['Permits to spend', formatNumber(game.state.permitsAvailable)]
+  ]);
+  Array.from(list.children).forEach((row, index) => {
+    row.classList.add('summary-row');
+    row.style.animationDelay = `${index * 0.25}s`;
+  });
+  openModal('Reserve complete', body, [
+    { label: `Start Reserve #${formatNumber(reserve.number + 1)}`, onClick: closeModal }
+  ]);
+}
+
 // ---- Biome System ----
 
 // Initialize biome UI cards
@@ -1603,24 +2763,46 @@ function initBiomes() {
     desc.id = `biome-desc-${biome.id}`;
     desc.textContent = '';
     info.appendChild(desc);
+    // Terrain rules, shown before the player spends permits
+    const rules = document.createElement('div');
+    rules.className = 'rules';
+    rules.textContent = describeBiomeRules(biome.terrainRules);
+    info.appendChild(rules);
     card.appendChild(info);
     const btn = document.createElement('button');
     btn.className = 'biome-buy-button';
     btn.id = `biome-buy-${biome.id}`;
-    btn.textContent = `Unlock (${biome.cost} permits)`;
-    btn.addEventListener('click', () => unlockBiome(biome.id));
+    btn.textContent = `Unlock (${formatNumber(EscapeEngine.biomeCost(game.state, biome))} permits)`;
+    btn.addEventListener('click', () => game.dispatch('unlockBiome', biome.id));
     card.appendChild(btn);
     biomesContainer.appendChild(card);
   });
   updateBiomesUI();
 }
 
+/**
+ * Describe a biome's terrain rules, e.g. "Units: ground x1.5, water x0.25 •
+ * Hazards: drought, fire • Missions take 20% longer".
+ * @param {{units: Object, hazards: string[], durationMultiplier: number}} rules
+ * @returns {string}
+ */
+function describeBiomeRules(rules) {
+  const parts = [];
+  const units = Object.keys(rules.units).map(tag => `${tag} x${rules.units[tag]}`);
+  if (units.length > 0) parts.push(`Units: ${units.join(', ')}`);
+  if (rules.hazards.length > 0) parts.push(`Hazards: ${rules.hazards.join(', ')}`);
+  const change = Math.round((rules.durationMultiplier - 1) * 100);
+  if (change !== 0) parts.push(`Missions take ${Math.abs(change)}% ${change > 0 ? 'longer' : 'less time'}`);
+  return parts.join(' • ');
+}
+
 // Update biome cards based on unlock status and available permits
 function updateBiomesUI() {
+  const state = game.state;
   biomeDefinitions.forEach(biome => {
     const descEl = document.getElementById(`biome-desc-${biome.id}`);
     const btn = document.getElementById(`biome-buy-${biome.id}`);
-    const unlocked = !!biomesUnlocked[biome.id];
+    const unlocked = !!state.biomesUnlocked[biome.id];
     if (unlocked) {
       if (descEl) descEl.textContent = 'Unlocked';
       if (btn) {
@@ -1628,297 +2810,98 @@ function updateBiomesUI() {
         btn.disabled = true;
       }
     } else {
-      if (descEl) descEl.textContent = `Cost: ${biome.cost} permits`;
+      const cost = EscapeEngine.biomeCost(state, biome);
+      if (descEl) descEl.textContent = `Cost: ${formatNumber(cost)} permits`;
       if (btn) {
-        btn.textContent = `Unlock (${biome.cost} permits)`;
-        btn.disabled = permitsAvailable < biome.cost;
+        btn.textContent = `Unlock (${formatNumber(cost)} permits)`;
+        btn.disabled = state.permitsAvailable < cost;
       }
     }
   });
 }
 
-// Unlock a biome if the player has enough permits
-function unlockBiome(id) {
-  const biome = biomeDefinitions.find(b => b.id === id);
-  if (!biome) return;
-  if (biomesUnlocked[id]) return; // Already unlocked
-  if (permitsAvailable < biome.cost) return; // Not enough permits
-  // Deduct permits and mark as unlocked
-  permitsAvailable -= biome.cost;
-  biomesUnlocked[id] = true;
-  // Add new species definitions to speciesList
-  biome.species.forEach(spec => {
-    // Avoid duplicate species
-    const exists = speciesList.some(sp => sp.name === spec.name);
-    if (!exists) {
-      speciesList.push({ name: spec.name, saved: false, bonus: spec.bonus, effectType: spec.effectType, effectValue: spec.effectValue });
-    }
+// ---- Biome Packs ----
+
+// List of the biome packs bundled with the app, relative to the page
+const BIOME_PACK_INDEX = 'biomes/index.json';
+
+// Fetch a JSON file, failing on HTTP errors as well as network errors
+function fetchJson(url) {
+  return fetch(url).then(response => {
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
   });
-  // Extend speciesColors
+}
+
+/**
+ * Load and register the biome packs listed in biomes/index.json, in the
+ * listed order so that upgrade positions in saves stay stable.  A pack that
+ * cannot be loaded or fails validation is skipped; its problems are logged
+ * and shown in one alert.  Resolves once every pack has been tried, also
+ * when the index itself cannot be loaded.
+ * @returns {Promise<void>}
+ */
+function loadBiomePacks() {
+  return fetchJson(BIOME_PACK_INDEX)
+    .then(index => Promise.all(index.packs.map(file => fetchJson(`biomes/${file}`)
+      .then(pack => ({ file: file, pack: pack }), error => ({ file: file, error: error })))))
+    .then(results => {
+      const problems = [];
+      results.forEach(result => {
+        const errors = result.error
+          ? [`could not be loaded (${result.error.message})`]
+          : EscapeEngine.registerBiomePack(result.pack);
+        errors.forEach(error => problems.push(`${result.file}: ${error}`));
+      });
+      if (problems.length > 0) {
+        problems.forEach(problem => console.error(`Biome pack ${problem}`));
+        alert(`Some biome packs were skipped:\n${problems.join('\n')}`);
+      }
+    })
+    .catch(error => {
+      console.error(`Could not load ${BIOME_PACK_INDEX}:`, error);
+    });
+}
+
+// Extend the species colors and reserve centers with a biome's visuals.  The
+// engine adds the biome's species, units and missions to the game state.
+function applyBiomeVisuals(biome) {
   if (biome.speciesColors) {
     Object.keys(biome.speciesColors).forEach(name => {
       speciesColors[name] = biome.speciesColors[name];
     });
   }
-  // Note: speciesCenters will be used in future reserve polish step
-  // Extend speciesCenters with biome-specific center positions if provided
+  // Extend speciesCenters with biome-defined centers if provided.  Biome
+  // areas are named after the biome and revealed by the last map level.
   if (biome.speciesCenters) {
     Object.keys(biome.speciesCenters).forEach(name => {
-      speciesCenters[name] = biome.speciesCenters[name];
+      speciesCenters[name] = biome.speciesCenters[name].map(center =>
+        Object.assign({ area: biome.name, level: BIOME_AREA_MAP_LEVEL }, center));
     });
   }
-  // Add new rescue units
-  biome.units.forEach(unit => {
-    unitDefinitions.push({ name: unit.name, baseCost: unit.baseCost, baseRate: unit.baseRate, costMultiplier: unit.costMultiplier });
-    unitsOwned.push(0);
-    nextCosts.push(unit.baseCost);
-    // Create card UI for new unit
-    const idx = unitDefinitions.length - 1;
-    const card = document.createElement('div');
-    card.className = 'unit-card';
-    const info = document.createElement('div');
-    info.className = 'unit-info';
-    const nameEl = document.createElement('div');
-    nameEl.className = 'unit-name';
-    nameEl.textContent = unit.name;
-    info.appendChild(nameEl);
-    const statsEl = document.createElement('div');
-    statsEl.className = 'unit-stats';
-    statsEl.id = `unit-stats-${idx}`;
-    info.appendChild(statsEl);
-    const btn = document.createElement('button');
-    btn.className = 'buy-button';
-    btn.id = `unit-buy-${idx}`;
-    btn.textContent = `Buy (${unit.baseCost} coins)`;
-    btn.addEventListener('click', () => purchaseUnit(idx));
-    card.appendChild(info);
-    card.appendChild(btn);
-    const unitsContainer = document.getElementById('units-container');
-    if (unitsContainer) unitsContainer.appendChild(card);
-  });
-  // Add missions for new species
-  biome.species.forEach(spec => {
-    missions.push({ name: `${spec.name} Rescue`, duration: 120, baseRisk: 20, difficulty: 1.0, species: spec.name });
-  });
-  // Refresh permit bonuses and species bonuses
-  updateSpeciesBonuses();
-  applyPermitBonuses();
-  // Rebuild reserve dots to include new species counts (initially 0)
-  rebuildReserveDots();
-  // Update UI
-  updateBiomesUI();
-  updatePermitsUI();
-  updateUI();
-  // Refresh sanctuary cards instead of safe haven list
-  updateCards();
-  updateAchievementsUI();
-  updateQuestUI();
 }
 
-// Apply unlocked biomes on load to reconstruct species, units and missions
+// Apply the visuals of every unlocked biome after loading a save
 function applyUnlockedBiomes() {
   biomeDefinitions.forEach(biome => {
-    if (biomesUnlocked[biome.id]) {
-      // Add species definitions if not already added
-      biome.species.forEach(spec => {
-        const exists = speciesList.some(sp => sp.name === spec.name);
-        if (!exists) {
-          speciesList.push({ name: spec.name, saved: false, bonus: spec.bonus, effectType: spec.effectType, effectValue: spec.effectValue });
-        }
-        // If species saved state exists from saved speciesState, it will be restored separately
-      });
-      // Extend speciesColors
-      if (biome.speciesColors) {
-        Object.keys(biome.speciesColors).forEach(name => {
-          speciesColors[name] = biome.speciesColors[name];
-        });
-      }
-      // Extend speciesCenters with biome-defined centers if provided
-      if (biome.speciesCenters) {
-        Object.keys(biome.speciesCenters).forEach(name => {
-          speciesCenters[name] = biome.speciesCenters[name];
-        });
-      }
-      // Add rescue units if not present
-      biome.units.forEach(unit => {
-        const exists = unitDefinitions.some(u => u.name === unit.name);
-        if (!exists) {
-          unitDefinitions.push({ name: unit.name, baseCost: unit.baseCost, baseRate: unit.baseRate, costMultiplier: unit.costMultiplier });
-          unitsOwned.push(0);
-          nextCosts.push(unit.baseCost);
-        }
-      });
-      // Add missions if not present
-      biome.species.forEach(spec => {
-        const exists = missions.some(m => m.species === spec.name);
-        if (!exists) {
-          missions.push({ name: `${spec.name} Rescue`, duration: 120, baseRisk: 20, difficulty: 1.0, species: spec.name });
-        }
-      });
+    if (game.state.biomesUnlocked[biome.id]) {
+      applyBiomeVisuals(biome);
     }
   });
-  // After applying unlocked biomes, rebuild the species cards to reflect
-  // new species definitions. We no longer update diorama clusters because
-  // the diorama view has been removed.
-  try {
-    initCards();
-    updateCards();
-  } catch (e) {
-    // ignore errors if cards not yet initialized
-  }
-}
-
-// Purchase a permit upgrade if enough permits are available
-function purchasePermitUpgrade(index) {
-  const cost = permitUpgradeCosts[index];
-  if (permitsAvailable >= cost) {
-    permitsAvailable -= cost;
-    const def = permitUpgradeDefinitions[index];
-    // Increment upgrade based on its effect type
-    if (def.effectType === 'rate') {
-      permitUpgrades.rate += 1;
-    } else if (def.effectType === 'animals') {
-      permitUpgrades.animals += 1;
-    } else if (def.effectType === 'time') {
-      permitUpgrades.time += 1;
-    } else if (def.effectType === 'map') {
-      permitUpgrades.map += 1;
-    }
-    // Update next cost using exponential scaling
-    permitUpgradeCosts[index] = Math.floor(def.baseCost * Math.pow(def.costMultiplier, permitUpgrades[def.effectType]));
-    // Recompute permit bonuses
-    applyPermitBonuses();
-    // Refresh UI
-    updatePermitsUI();
-    updateUI();
-  }
-}
-
-// Perform a prestige reset: award new permits and reset game progress
-function prestige() {
-  // Calculate newly earned permits based on lifetime animals saved
-  const targetTotal = Math.floor(lifetimeAnimalsSaved / 1000);
-  let newPermits = targetTotal - permitsTotal;
-  if (newPermits < 0) newPermits = 0;
-  permitsTotal = targetTotal;
-  permitsAvailable += newPermits;
-  // Reset current run progress
-  coins = 0;
-  animalsSaved = 0;
-  // Reset units and their costs
-  unitDefinitions.forEach((unit, i) => {
-    unitsOwned[i] = 0;
-    nextCosts[i] = unit.baseCost;
-  });
-  // Reset upgrades and their costs
-  upgradeDefinitions.forEach((upg, i) => {
-    upgradesOwned[i] = 0;
-    upgradeCosts[i] = upg.baseCost;
-  });
-  globalRateBonus = 0;
-  globalTimeReduction = 0;
-  globalAnimalBonus = 0;
-  // Reset species saved flags
-  speciesList.forEach(sp => {
-    sp.saved = false;
-  });
-  updateSpeciesBonuses();
-  // Reset tasks completed
-  Object.keys(tasksCompleted).forEach(key => {
-    tasksCompleted[key] = false;
-  });
-  missionsCompleted = 0;
-  // Reset mission state
-  missionActive = false;
-  missionTimeLeft = 0;
-  animalsAtRisk = 0;
-  totalAnimalsForMission = 0;
-  currentMissionIndex = 0;
-  // Reset reserve counts and dots
-  reserveCounts = {};
-  reserveDots = {};
-  // Reset last daily bonus date to allow immediate bonus next day
-  lastDailyBonusDate = null;
-  // Finalize the season: update the best total if needed and reset
-  // the season tally.  Refresh the season stats display.
-  if (seasonAnimalsSaved > bestSeasonTotal) {
-    bestSeasonTotal = seasonAnimalsSaved;
-  }
-  seasonAnimalsSaved = 0;
-  updateSeasonStatsUI();
-  // Recompute permit bonuses (they persist)
-  applyPermitBonuses();
-  // Refresh UI and start a new mission
-  // Sanctuary cards replace the old safe haven UI
-  updateCards();
-  updateTasksUI();
-  updateUI();
-  updateUpgradesUI();
-  updatePermitsUI();
-  // Start first mission again
-  startMission();
 }
 
 // ---- World Events System ----
 
-// Initialize the world events by validating any saved event or starting a new one
-function initEvent() {
-  // If there is a saved active event and it has not expired, apply it
-  const now = Date.now();
-  if (activeEvent && activeEvent.endTime && activeEvent.endTime > now) {
-    updateEventBonuses();
-  } else {
-    // Otherwise start a new event
-    startNewEvent();
-  }
-  // Update the event UI immediately
-  updateEventUI();
-}
-
-// Start a new world event randomly selected from eventsList
-function startNewEvent() {
-  const idx = Math.floor(Math.random() * eventsList.length);
-  const evDef = eventsList[idx];
-  activeEvent = {
-    id: evDef.id,
-    name: evDef.name,
-    rateBonus: evDef.rateBonus,
-    animalBonus: evDef.animalBonus,
-    timeReduction: evDef.timeReduction,
-    endTime: Date.now() + evDef.duration * 1000
-  };
-  updateEventBonuses();
-  updateEventUI();
-}
-
-// Apply the modifiers from the active event to global event bonus variables
-function updateEventBonuses() {
-  if (activeEvent) {
-    eventRateBonus = activeEvent.rateBonus || 0;
-    eventAnimalBonus = activeEvent.animalBonus || 0;
-    eventTimeReduction = activeEvent.timeReduction || 0;
-  } else {
-    eventRateBonus = 0;
-    eventAnimalBonus = 0;
-    eventTimeReduction = 0;
-  }
-}
-
-// Update the event panel UI and handle expiration
+// Update the event panel UI.  Expired events are replaced by the engine.
 function updateEventUI() {
   if (!eventPanel) return;
+  const activeEvent = game.state.activeEvent;
   // No active event: hide panel
   if (!activeEvent || !activeEvent.endTime) {
     eventPanel.classList.add('hidden');
     return;
   }
-  const now = Date.now();
-  const diff = activeEvent.endTime - now;
-  if (diff <= 0) {
-    // Event has expired; start a new one
-    startNewEvent();
-    return;
-  }
+  const diff = Math.max(0, activeEvent.endTime - game.state.now);
   // Show panel and update content
   eventPanel.classList.remove('hidden');
   if (eventNameEl) {
@@ -1934,232 +2917,417 @@ function updateEventUI() {
     const ss = String(seconds).padStart(2, '0');
     eventTimeLeftEl.textContent = `${hh}:${mm}:${ss}`;
   }
+  const goal = activeEvent.goal;
+  if (eventGoalEl && goal) {
+    const progress = Math.min(goal.progress, goal.target);
+    eventGoalEl.textContent = goal.completed
+      ? `Event goal reached! +${formatNumber(goal.reward)} coins`
+      : `Event goal: save ${formatNumber(goal.target)} animals on ${activeEvent.name} missions • ` +
+        `${formatNumber(progress)}/${formatNumber(goal.target)} • Reward ${formatNumber(goal.reward)} coins`;
+    eventGoalProgressEl.style.width = `${goal.target > 0 ? Math.round(progress / goal.target * 100) : 0}%`;
+  }
+}
+
+// ==== Saving and Loading ====
+// Saves are migrated, validated and restored by the engine (see migrateSave
+// and restoreState in engine.js).  This section only reads and writes them.
+
+/**
+ * Keep a copy of a save that could not be loaded so the progress can still
+ * be recovered, and let the player know.  Only the first failure is kept so
+ * that a later broken save cannot overwrite an earlier good backup.
+ * @param {string} raw The unparsed save string
+ * @param {Error} error The reason loading failed
+ */
+function backupUnreadableSave(raw, error) {
+  console.error('Failed to load game state', error);
+  try {
+    if (!localStorage.getItem(profileStorageKey(SAVE_BACKUP_KEY))) {
+      localStorage.setItem(profileStorageKey(SAVE_BACKUP_KEY), raw);
+    }
+  } catch (e) {
+    console.error('Failed to back up game state', e);
+  }
+  setTimeout(() => {
+    alert('Your saved game could not be loaded, so a new reserve was started.\n\nA copy of the old save has been kept in case it can be recovered.');
+  }, 500);
 }
 
+/**
+ * Build the save object for the current game.  Used by saveGame() and by
+ * the save file export so both always contain the same state.
+ * @returns {Object}
+ */
+function buildSaveState() {
+  const save = EscapeEngine.serializeState(game.state);
+  save.lastSave = Date.now();
+  // Persist player ID for friend codes
+  save.playerId = playerId;
+  return save;
+}
+
+// Set when the page is about to reload with a save that must not be
+// overwritten by the periodic or unload save (see reloadWithoutSaving)
+let saveSuppressed = false;
+
 // Save game state to localStorage
 function saveGame() {
+  if (saveSuppressed) return;
   try {
-    const state = {
-      coins,
-      animalsSaved,
-      unitsOwned: Array.from(unitsOwned),
-      nextCosts: Array.from(nextCosts),
-      upgradesOwned: Array.from(upgradesOwned),
-      upgradeCosts: Array.from(upgradeCosts),
-      globalRateBonus,
-      globalTimeReduction,
-      globalAnimalBonus,
-      tasksCompleted,
-      speciesState: speciesList.map(sp => ({ name: sp.name, saved: sp.saved })),
-      currentMissionIndex,
-      missionActive,
-      missionTimeLeft,
-      animalsAtRisk,
-      totalAnimalsForMission,
-      missionsCompleted,
-      lastSave: Date.now(),
-      lastDailyBonusDate,
-      reserveCounts: reserveCounts,
-      // Permits and prestige
-      permitsTotal: permitsTotal,
-      permitsAvailable: permitsAvailable,
-      lifetimeAnimalsSaved: lifetimeAnimalsSaved,
-      permitUpgrades: permitUpgrades,
-      permitUpgradeCosts: permitUpgradeCosts,
-      activeEvent: activeEvent
-      ,
-      // Biomes
-      biomesUnlocked: biomesUnlocked
-      ,
-      // Achievements and questline state
-      achievementsCompleted: achievementsCompleted,
-      achievementRateBonus: achievementRateBonus,
-      achievementTimeReduction: achievementTimeReduction,
-      achievementAnimalBonus: achievementAnimalBonus,
-      currentQuestStep: currentQuestStep,
-      questStepsClaimed: questStepsClaimed,
-      // Season totals for leaderboard export
-      seasonAnimalsSaved: seasonAnimalsSaved,
-      bestSeasonTotal: bestSeasonTotal
-      ,
-      // Persist player ID for friend codes
-      playerId: playerId
-    };
-    localStorage.setItem('extinctionEscapeState', JSON.stringify(state));
+    localStorage.setItem(profileStorageKey(SAVE_KEY), JSON.stringify(buildSaveState()));
   } catch (e) {
     console.error('Failed to save game state', e);
   }
 }
 
-// Load game state from localStorage and apply offline earnings
+// Load game state from localStorage, apply offline earnings and create the
+// game.  Without a readable save a new game is started.
 function loadGame() {
+  const now = Date.now();
+  let saved = null;
+  let state = null;
   try {
-    const saved = localStorage.getItem('extinctionEscapeState');
-    if (!saved) return;
-    const state = JSON.parse(saved);
-    if (!state) return;
-    // Restore or generate a player ID for friend code functionality.  Try to
-    // use the ID from the saved state; if absent, fall back to localStorage or
-    // create a new one.  Store it back to localStorage for persistence.
-    try {
-      if (state.playerId) {
-        playerId = state.playerId;
-      } else {
-        const storedId = localStorage.getItem('extinctionEscapePlayerId');
-        playerId = storedId || generatePlayerId();
-      }
-      // Persist the player ID in both the save and a separate key
-      localStorage.setItem('extinctionEscapePlayerId', playerId);
-    } catch (e) {
-      // If localStorage fails, still generate an ID for the session
-      if (!playerId) {
-        playerId = generatePlayerId();
+    saved = localStorage.getItem(profileStorageKey(SAVE_KEY));
+    if (saved) {
+      // Bring older saves up to the current schema before restoring them
+      const save = EscapeEngine.migrateSave(JSON.parse(saved));
+      // Restore or generate a player ID for friend code functionality.  Try to
+      // use the ID from the saved state; if absent, fall back to localStorage or
+      // create a new one.  Store it back to localStorage for persistence.
+      try {
+        if (save.playerId) {
+          playerId = save.playerId;
+        } else {
+          const storedId = localStorage.getItem(profileStorageKey(PLAYER_ID_KEY));
+          playerId = storedId || generatePlayerId();
+        }
+        // Persist the player ID in both the save and a separate key
+        localStorage.setItem(profileStorageKey(PLAYER_ID_KEY), playerId);
+      } catch (e) {
+        // If localStorage fails, still generate an ID for the session
+        if (!playerId) {
+          playerId = generatePlayerId();
+        }
       }
+      state = EscapeEngine.restoreState(save, now);
+      // Credit the time since the last save
+      const lastSave = save.lastSave || now;
+      offlineReport = EscapeEngine.collectOfflineEarnings(state, (now - lastSave) / 1000);
     }
-    // Restore units
-    state.unitsOwned.forEach((count, i) => {
-      unitsOwned[i] = count;
-    });
-    state.nextCosts.forEach((cost, i) => {
-      nextCosts[i] = cost;
-    });
-    // Restore upgrades and apply their effects
-    state.upgradesOwned.forEach((count, i) => {
-      upgradesOwned[i] = count;
-    });
-    state.upgradeCosts.forEach((cost, i) => {
-      upgradeCosts[i] = cost;
-    });
-    globalRateBonus = state.globalRateBonus || 0;
-    globalTimeReduction = state.globalTimeReduction || 0;
-    globalAnimalBonus = state.globalAnimalBonus || 0;
-    // Restore coins and animalsSaved after applying offline earnings
-    coins = state.coins;
-    animalsSaved = state.animalsSaved;
-    // Compute offline time
-    const now = Date.now();
-    const lastSave = state.lastSave || now;
-    let elapsed = (now - lastSave) / 1000; // seconds
-    const capSeconds = 4 * 3600; // 4 hours cap
-    if (elapsed < 0) elapsed = 0;
-    const offlineTime = Math.min(elapsed, capSeconds);
-    // Compute offline rate using restored units and upgrades
-    let offlineRate = 0;
-    unitsOwned.forEach((count, index) => {
-      offlineRate += (count * unitDefinitions[index].baseRate) / 60;
-    });
-    offlineRate *= (1 + globalRateBonus + speciesRateBonus + permitRateBonus + eventRateBonus + achievementRateBonus);
-    const offlineEarnings = offlineRate * offlineTime;
-    coins += offlineEarnings;
-    animalsSaved += offlineEarnings;
-    // Offline earnings also contribute to the current season.  Update the
-    // season tally accordingly and track any new high score.
-    seasonAnimalsSaved += offlineEarnings;
-    if (seasonAnimalsSaved > bestSeasonTotal) {
-      bestSeasonTotal = seasonAnimalsSaved;
-    }
-    // Restore mission state
-    currentMissionIndex = state.currentMissionIndex || 0;
-    missionActive = state.missionActive || false;
-    missionTimeLeft = state.missionTimeLeft || 0;
-    animalsAtRisk = state.animalsAtRisk || 0;
-    totalAnimalsForMission = state.totalAnimalsForMission || 0;
-    missionsCompleted = state.missionsCompleted || 0;
-    // Restore species saved
-    if (state.speciesState) {
-      state.speciesState.forEach(savedSp => {
-        speciesList.forEach(sp => {
-          if (sp.name === savedSp.name) {
-            sp.saved = savedSp.saved;
-          }
-        });
-      });
-    }
-    // After restoring species saved flags, recompute species bonuses
-    updateSpeciesBonuses();
-    // Restore tasksCompleted object
-    if (state.tasksCompleted) {
-      Object.keys(state.tasksCompleted).forEach(key => {
-        tasksCompleted[key] = state.tasksCompleted[key];
-      });
+  } catch (e) {
+    state = null;
+    if (saved) {
+      backupUnreadableSave(saved, e);
+    } else {
+      console.error('Failed to load game state', e);
     }
-    // Restore lastDailyBonusDate
-    lastDailyBonusDate = state.lastDailyBonusDate || null;
+  }
+  game = EscapeEngine.createGame(state || EscapeEngine.createState(now));
+}
 
-    // Restore reserve counts if present
-    if (state.reserveCounts) {
-      reserveCounts = state.reserveCounts;
-    }
+// ==== Offline Progress Report ====
 
-    // Restore biomes unlocked
-    if (state.biomesUnlocked) {
-      Object.keys(state.biomesUnlocked).forEach(id => {
-        biomesUnlocked[id] = state.biomesUnlocked[id];
-      });
-    }
+// Absences shorter than this are credited without showing the report, so that
+// reloads and profile switches do not interrupt play
+const OFFLINE_REPORT_MIN_SECONDS = 60;
 
-    // ---- Restore Achievements and Questline ----
-    if (state.achievementsCompleted) {
-      Object.keys(state.achievementsCompleted).forEach(id => {
-        achievementsCompleted[id] = state.achievementsCompleted[id];
-      });
-    }
-    achievementRateBonus = state.achievementRateBonus || 0;
-    achievementTimeReduction = state.achievementTimeReduction || 0;
-    achievementAnimalBonus = state.achievementAnimalBonus || 0;
-    currentQuestStep = state.currentQuestStep || 0;
-    if (state.questStepsClaimed) {
-      Object.keys(state.questStepsClaimed).forEach(idx => {
-        questStepsClaimed[idx] = state.questStepsClaimed[idx];
-      });
-    }
+// Most event changes listed in the report
+const OFFLINE_REPORT_MAX_EVENTS = 6;
 
-    // Restore permit and prestige state
-    permitsTotal = state.permitsTotal || 0;
-    permitsAvailable = state.permitsAvailable || 0;
-    // Restore lifetime animals saved (fallback to animalsSaved if not present)
-    lifetimeAnimalsSaved = state.lifetimeAnimalsSaved !== undefined ? state.lifetimeAnimalsSaved : (state.animalsSaved || 0);
-    if (state.permitUpgrades) {
-      permitUpgrades.rate = state.permitUpgrades.rate || 0;
-      permitUpgrades.animals = state.permitUpgrades.animals || 0;
-      permitUpgrades.time = state.permitUpgrades.time || 0;
-      permitUpgrades.map = state.permitUpgrades.map || 0;
-    }
-    if (state.permitUpgradeCosts) {
-      // Restore next permit upgrade costs
-      for (let i = 0; i < permitUpgradeCosts.length && i < state.permitUpgradeCosts.length; i++) {
-        permitUpgradeCosts[i] = state.permitUpgradeCosts[i];
-      }
-    }
-    // Restore active event if any
-    if (state.activeEvent) {
-      activeEvent = state.activeEvent;
-    }
+// Report from collectOfflineEarnings(), set by loadGame() and shown by init()
+let offlineReport = null;
 
-    // After restoring permit upgrades, compute permit bonuses for offline earnings
-    applyPermitBonuses();
+// Running coin counter animation ({ from, to, start }) or null
+let coinAnimation = null;
 
-    // Restore season totals and best record.  If not present, default to zero.
-    seasonAnimalsSaved = state.seasonAnimalsSaved !== undefined ? state.seasonAnimalsSaved : 0;
-    bestSeasonTotal = state.bestSeasonTotal !== undefined ? state.bestSeasonTotal : 0;
-    // After restoring season totals, update the display.  We update early
-    // to ensure that the UI shows the correct values immediately on load.
-    updateSeasonStatsUI();
+// Format a number of seconds as a short duration such as "4h 12m" or "35s"
+function formatDuration(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+}
 
-    // After loading reserve counts and species, refresh the sanctuary cards view.
-    // Guard against calling before the DOM elements exist by checking for updateCards
-    try {
-      if (typeof updateCards === 'function') {
-        updateCards();
-      }
-    } catch (e) {
-      // Silently ignore errors during early load when elements may not be ready
+// Add a label/value row to a report list
+function addReportRow(list, label, value) {
+  const li = document.createElement('li');
+  const labelEl = document.createElement('span');
+  labelEl.textContent = label;
+  const valueEl = document.createElement('span');
+  valueEl.className = 'report-value';
+  valueEl.textContent = value;
+  li.appendChild(labelEl);
+  li.appendChild(valueEl);
+  list.appendChild(li);
+}
+
+/**
+ * Show the "While you were away" report for the last absence.  The coins
+ * stay unclaimed until the player presses Claim; they are included in the
+ * save in the meantime, so closing the game does not lose them.
+ * @param {Object} report Report returned by collectOfflineEarnings()
+ */
+function showOfflineReport(report) {
+  const body = document.createElement('div');
+  const list = document.createElement('ul');
+  list.className = 'report-list';
+  addReportRow(list, 'Time away', formatDuration(report.awaySeconds));
+  addReportRow(list, 'Time credited', formatDuration(report.creditedSeconds));
+  addReportRow(list, 'Coins earned', formatNumber(report.coins));
+  addReportRow(list, 'Animals rescued', formatNumber(report.animals));
+  body.appendChild(list);
+  if (report.cappedSeconds > 0) {
+    const capNote = document.createElement('p');
+    capNote.className = 'report-note';
+    capNote.textContent = `Progress is limited to ${formatDuration(report.creditedSeconds)} away, so the last ${formatDuration(report.cappedSeconds)} did not count.`;
+    body.appendChild(capNote);
+  }
+  // Mission progress
+  const missionHeading = document.createElement('h3');
+  missionHeading.className = 'report-heading';
+  missionHeading.textContent = 'Missions';
+  body.appendChild(missionHeading);
+  const missionList = document.createElement('ul');
+  missionList.className = 'report-list';
+  const mission = report.mission;
+  addReportRow(missionList, 'Missions completed', formatNumber(mission.completed));
+  Object.keys(report.species).forEach(name => {
+    addReportRow(missionList, `${name} rescued`, formatNumber(report.species[name]));
+  });
+  Object.keys(report.births).forEach(name => {
+    addReportRow(missionList, `${name} born in the Sanctuary`, formatNumber(report.births[name], 1));
+  });
+  const after = Math.round(mission.progressAfter * 100);
+  if (mission.completed === 0 && mission.name) {
+    const before = Math.round(mission.progressBefore * 100);
+    addReportRow(missionList, mission.name, before === after ? `${after}% rescued` : `${before}% → ${after}% rescued`);
+  } else if (mission.currentName) {
+    addReportRow(missionList, `Now: ${mission.currentName}`, `${after}% rescued`);
+  } else {
+    addReportRow(missionList, 'Mission board', 'waiting for your pick');
+  }
+  body.appendChild(missionList);
+  // World events that ended or started while away
+  const eventHeading = document.createElement('h3');
+  eventHeading.className = 'report-heading';
+  eventHeading.textContent = 'World events';
+  body.appendChild(eventHeading);
+  const eventList = document.createElement('ul');
+  eventList.className = 'report-list';
+  if (report.events.length === 0) {
+    const active = game.state.activeEvent;
+    addReportRow(eventList, active ? active.name : 'No event', active ? 'still active' : '');
+  }
+  // Long absences rotate through many events; list only the latest changes
+  const shownEvents = report.events.slice(-OFFLINE_REPORT_MAX_EVENTS);
+  shownEvents.forEach(ev => {
+    const time = new Date(ev.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    addReportRow(eventList, ev.name, ev.type === 'eventEnded' ? `ended at ${time}` : `started at ${time}`);
+  });
+  body.appendChild(eventList);
+  if (report.events.length > shownEvents.length) {
+    const moreNote = document.createElement('p');
+    moreNote.className = 'report-note';
+    moreNote.textContent = `…and ${report.events.length - shownEvents.length} earlier event changes.`;
+    body.appendChild(moreNote);
+  }
+  openModal('While you were away', body, [
+    {
+      label: `Claim ${formatNumber(report.coins)} coins`,
+      onClick: btn => claimOfflineReport(btn)
     }
+  ]);
+}
+
+// Claim the offline coins: float the amount up from the button, count the
+// coin counter up to the new balance and close the report
+function claimOfflineReport(btn) {
+  btn.disabled = true;
+  const from = game.state.coins;
+  const amount = game.state.unclaimedOfflineCoins;
+  const float = document.createElement('div');
+  float.className = 'claim-float';
+  float.textContent = `+${formatNumber(amount)} coins`;
+  btn.closest('.modal').appendChild(float);
+  coinAnimation = { from: from, to: from + amount, start: performance.now() };
+  game.dispatch('claimOfflineEarnings');
+  const coinsStat = coinsEl.closest('.stat');
+  if (coinsStat) coinsStat.classList.add('coins-pop');
+  requestAnimationFrame(stepCoinAnimation);
+  setTimeout(() => {
+    closeModal();
+    if (coinsStat) coinsStat.classList.remove('coins-pop');
+  }, 1000);
+}
+
+// Advance the coin counter animation by one frame
+function stepCoinAnimation(now) {
+  if (!coinAnimation) return;
+  const duration = 1000;
+  const t = Math.min(1, (now - coinAnimation.start) / duration);
+  // Ease out so the counter slows down as it reaches the new balance
+  const eased = 1 - Math.pow(1 - t, 3);
+  const shown = coinAnimation.from + (coinAnimation.to - coinAnimation.from) * eased;
+  coinsEl.textContent = formatNumber(shown, 1);
+  if (t < 1) {
+    requestAnimationFrame(stepCoinAnimation);
+  } else {
+    coinAnimation = null;
+    coinsEl.textContent = formatNumber(game.state.coins, 1);
+  }
+}
+
+// ==== Save File Export / Import ====
+
+// Identifies files written by exportSaveFile()
+const SAVE_FILE_FORMAT = 'extinction-escape-save';
+
+/**
+ * Compute a short checksum for a string using 32-bit FNV-1a.  This only
+ * detects damaged or hand-edited save files; it is not meant to be secure.
+ * @param {string} text
+ * @returns {string} Eight hexadecimal characters
+ */
+function computeChecksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Reload the page without letting the periodic or unload save overwrite
+// whatever was just written to storage.  loadGame() picks it up on restart.
+function reloadWithoutSaving() {
+  saveSuppressed = true;
+  location.reload();
+}
+
+/**
+ * Download the full game as a JSON file.  The file wraps the same state that
+ * saveGame() stores with metadata and a checksum of the state.
+ */
+function exportSaveFile() {
+  try {
+    const state = buildSaveState();
+    const file = {
+      format: SAVE_FILE_FORMAT,
+      gameVersion: changelogEntries[0].version,
+      schemaVersion: EscapeEngine.SAVE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      playerId: playerId,
+      checksum: computeChecksum(JSON.stringify(state)),
+      state: state
+    };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    const date = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    a.download = `ExtinctionEscape-Save-${date}.json`;
+    a.href = URL.createObjectURL(blob);
+    a.click();
+    // Revoking straight after click() can cancel the download in Firefox
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
   } catch (e) {
-    console.error('Failed to load game state', e);
+    console.error(e);
+    alert('An error occurred while exporting your save.');
   }
 }
 
+/**
+ * Describe the parts of a save that an import would overwrite.  Used to show
+ * the current and incoming values side by side before confirming.
+ * @param {Object} state Save object at the current schema version
+ * @returns {{coins: number, permits: number, biomes: string, species: number}}
+ */
+function summarizeSave(state) {
+  const biomes = biomeDefinitions
+    .filter(b => state.biomesUnlocked[b.id])
+    .map(b => b.name);
+  return {
+    coins: formatNumber(state.coins),
+    permits: formatNumber(state.permitsAvailable),
+    biomes: biomes.length > 0 ? biomes.join(', ') : 'none',
+    species: state.speciesState.filter(sp => sp.saved).length
+  };
+}
+
+/**
+ * Validate an exported save file and, once the player confirms the summary,
+ * replace the current game with it.  The imported state is migrated like
+ * any stored save and then restored by loadGame() after a reload.
+ * @param {string} text Contents of the selected file
+ */
+function importSaveFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    alert('This file is not a valid save file.');
+    return;
+  }
+  if (!file || file.format !== SAVE_FILE_FORMAT || !file.state || typeof file.state !== 'object') {
+    alert('This file is not an Extinction Escape save file.');
+    return;
+  }
+  if (file.checksum !== computeChecksum(JSON.stringify(file.state))) {
+    const proceed = confirm('The checksum of this save file does not match its contents. It may be damaged or edited by hand.\n\nImport it anyway?');
+    if (!proceed) return;
+  }
+  let incoming;
+  try {
+    incoming = EscapeEngine.migrateSave(file.state);
+  } catch (e) {
+    console.error(e);
+    alert(`This save file cannot be loaded by this version of the game.\n\n${e.message}`);
+    return;
+  }
+  const current = summarizeSave(EscapeEngine.migrateSave(JSON.parse(JSON.stringify(buildSaveState()))));
+  const next = summarizeSave(incoming);
+  const exportedAt = file.exportedAt ? new Date(file.exportedAt).toLocaleString() : 'unknown date';
+  const message = `Import the save exported on ${exportedAt} (${file.gameVersion || 'unknown version'})?\n\n` +
+    'This will overwrite your current game:\n' +
+    `Coins: ${current.coins} → ${next.coins}\n` +
+    `Permits: ${current.permits} → ${next.permits}\n` +
+    `Biomes: ${current.biomes} → ${next.biomes}\n` +
+    `Species saved: ${current.species} → ${next.species}`;
+  if (!confirm(message)) return;
+  // Start the clock from the import so no offline earnings are granted for
+  // the time between export and import
+  incoming.lastSave = Date.now();
+  try {
+    localStorage.setItem(profileStorageKey(SAVE_KEY), JSON.stringify(incoming));
+  } catch (e) {
+    console.error(e);
+    alert('Could not store the imported save.');
+    return;
+  }
+  reloadWithoutSaving();
+}
+
+/**
+ * Let the player pick a save file and hand its contents to importSaveFile().
+ * The file input is reset afterwards so the same file can be chosen again.
+ */
+function onImportSaveFileChosen(event) {
+  const input = event.target;
+  const chosen = input.files && input.files[0];
+  if (!chosen) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    importSaveFile(String(reader.result || ''));
+    input.value = '';
+  };
+  reader.onerror = () => {
+    alert('Could not read the selected file.');
+    input.value = '';
+  };
+  reader.readAsText(chosen);
+}
+
 // Get current date string in America/Chicago timezone (YYYY-MM-DD)
 function getLocalDateString() {
   const options = { timeZone: 'America/Chicago', year: 'numeric', month: '2-digit', day: '2-digit' };
@@ -2169,83 +3337,71 @@ function getLocalDateString() {
 
 // Grant daily bonus if the user hasn't claimed it today
 function grantDailyBonusIfNeeded() {
-  const today = getLocalDateString();
-  if (lastDailyBonusDate !== today) {
-    // Grant daily bonus (e.g., 50 coins)
-    const bonus = 50;
-    coins += bonus;
-    lastDailyBonusDate = today;
+  if (game.dispatch('grantDailyBonus', getLocalDateString())) {
     // Show a simple notification to the user
     setTimeout(() => {
-      alert(`Daily bonus: +${bonus} coins for returning!`);
+      alert(`Daily bonus: +${EscapeEngine.DAILY_BONUS_COINS} coins for returning!`);
     }, 500);
   }
 }
 
-// Tick function runs every second to accumulate animals and coins
+// Tick function runs every second to accumulate animals and coins.  The
+// engine advances missions and events; the UI re-renders via onGameChange.
 function tick() {
-  const rate = computeRescueRate();
-  animalsSaved += rate;
-  coins += rate; // 1 coin per animal saved
-  // Track lifetime animals saved for prestige calculations
-  lifetimeAnimalsSaved += rate;
-  // Mission logic
-  if (missionActive) {
-    animalsAtRisk -= rate;
-    if (animalsAtRisk < 0) animalsAtRisk = 0;
-    missionTimeLeft -= 1;
-    if (missionTimeLeft <= 0 || animalsAtRisk <= 0) {
-      finishMission();
-    } else {
-      updateMissionUI();
-    }
-  }
-  updateUI();
-  updateTasksUI();
-  updateUpgradesUI();
-  // Update permits and prestige info
-  updatePermitsUI();
-  // Update world event countdown and handle expiration
-  updateEventUI();
+  game.advance(1);
 }
 
 // Initialize the game
+// Show one of the top-level views and mark its navigation button active
+function showView(view, tab) {
+  [gameView, havenView, reserveView, changelogView].forEach(other => {
+    other.classList.toggle('hidden', other !== view);
+  });
+  [tabGameBtn, tabHavenBtn, tabReserveBtn, tabChangelogBtn].forEach(other => {
+    other.classList.toggle('active', other === tab);
+  });
+}
+
 function init() {
+  // Pick the active profile before loading its save
+  loadProfiles();
   // Load saved state (including offline earnings and daily bonus tracking)
   loadGame();
-  // Apply unlocked biomes to reconstruct species, units and missions before initializing UI
+  loadNumberFormat();
+  // A fresh profile has no save yet; give it its own player ID
+  if (!playerId) {
+    playerId = generatePlayerId();
+  }
+  initProfilesUI();
+  initNumberFormatUI();
+  // Apply colors and reserve centers of unlocked biomes before initializing UI
   applyUnlockedBiomes();
   // Initialize units, upgrades and permits shop
+  initBuyQuantity();
   initUnits();
   initUpgrades();
+  initClickUpgrades();
   initPermits();
   initBiomes();
   // Initialize achievements and questline
   initAchievements();
   initQuest();
+  // Initialize sanctuary cards view instead of Safe Haven
+  initCards();
+  // Reserve map, unlocked by the Map Upgrade permit node
+  initReserve();
+  // Re-render whenever the game state changes
+  game.subscribe(onGameChange);
   // Apply daily bonus if applicable
   grantDailyBonusIfNeeded();
-  // Update UI to reflect loaded state
-  updateUI();
-  updateUpgradesUI();
-  updateTasksUI();
-  // Initialize and update sanctuary cards view instead of Safe Haven
-  initCards();
-  updateCards();
-  updateAchievementsUI();
-  updateQuestUI();
-  // Apply permit bonuses after loading the game state
-  applyPermitBonuses();
-  // Initialize world events (load saved or start new)
-  initEvent();
-  // Update permits UI after computing bonuses and counts
-  updatePermitsUI();
-  // If there was an active mission, ensure mission UI displays correctly
-  if (!missionActive) {
-    // Start a mission if none was active
-    startMission();
+  // Start a world event and mission if none is active and render the
+  // loaded state
+  game.advance(0);
+  // Report what happened while the player was away
+  if (offlineReport && offlineReport.awaySeconds >= OFFLINE_REPORT_MIN_SECONDS) {
+    showOfflineReport(offlineReport);
   } else {
-    updateMissionUI();
+    game.dispatch('claimOfflineEarnings');
   }
   // Set up the tick to run every second
   setInterval(() => {
@@ -2253,77 +3409,55 @@ function init() {
     // Periodically save the game state
     saveGame();
   }, 1000);
-  // Manual rescue increments coins and animals directly
+  // Manual rescue increments coins and animals directly; the click time
+  // drives the combo and auto-clicker detection
   manualBtn.addEventListener('click', () => {
-    coins += 1;
-    animalsSaved += 1;
-    lifetimeAnimalsSaved += 1;
-    // Manual rescues also reduce the current animals at risk if any mission is active
-    if (animalsAtRisk > 0) {
-      animalsAtRisk -= 1;
-      if (animalsAtRisk < 0) animalsAtRisk = 0;
-      updateMissionUI();
-      if (missionTimeLeft <= 0 || animalsAtRisk <= 0) {
-        finishMission();
-      }
-    }
-    // Update season totals on each manual rescue.  Manual saves count toward
-    // the current season.  If this pushes the current season above the
-    // previous best, update the record.  Finally refresh the season UI.
-    seasonAnimalsSaved += 1;
-    if (seasonAnimalsSaved > bestSeasonTotal) {
-      bestSeasonTotal = seasonAnimalsSaved;
-    }
-    updateSeasonStatsUI();
-    updateUI();
-    updateTasksUI();
-    updateUpgradesUI();
-    updatePermitsUI();
+    game.dispatch('manualRescue', { at: Date.now() });
   });
+  retryMissionBtn.addEventListener('click', () => {
+    game.dispatch('retryMission');
+  });
+  document.getElementById('mission-history-button').addEventListener('click', showMissionHistory);
   // Navigation buttons
-  // Navigation events
   tabGameBtn.addEventListener('click', () => {
     // Show the game view
-    gameView.classList.remove('hidden');
-    havenView.classList.add('hidden');
-    changelogView.classList.add('hidden');
-    // Set active button
-    tabGameBtn.classList.add('active');
-    tabHavenBtn.classList.remove('active');
-    if (tabChangelogBtn) tabChangelogBtn.classList.remove('active');
+    showView(gameView, tabGameBtn);
   });
   tabHavenBtn.addEventListener('click', () => {
     // Show the sanctuary cards view
-    havenView.classList.remove('hidden');
-    gameView.classList.add('hidden');
-    changelogView.classList.add('hidden');
+    showView(havenView, tabHavenBtn);
     // Update the cards and season stats on entering
     updateCards();
     updateSeasonStatsUI();
-    // Set active button
-    tabHavenBtn.classList.add('active');
-    tabGameBtn.classList.remove('active');
-    if (tabChangelogBtn) tabChangelogBtn.classList.remove('active');
-  });
-  if (tabChangelogBtn) {
-    tabChangelogBtn.addEventListener('click', () => {
-      // Show changelog
-      changelogView.classList.remove('hidden');
-      gameView.classList.add('hidden');
-      havenView.classList.add('hidden');
-      // Populate changelog entries
-      initChangelog();
-      // Set active button
-      tabChangelogBtn.classList.add('active');
-      tabGameBtn.classList.remove('active');
-      tabHavenBtn.classList.remove('active');
-    });
-  }
+  });
+  tabReserveBtn.addEventListener('click', () => {
+    // Show the reserve map; the canvas only has a size once it is visible
+    showView(reserveView, tabReserveBtn);
+    onReserveResize();
+    startReserveAnimation();
+  });
+  tabChangelogBtn.addEventListener('click', () => {
+    // Show changelog
+    showView(changelogView, tabChangelogBtn);
+    // Populate changelog entries
+    initChangelog();
+  });
   // Attach event listener for exporting the sanctuary cards as an image
   const saveSanctuaryBtn = document.getElementById('save-sanctuary-image');
   if (saveSanctuaryBtn) {
     saveSanctuaryBtn.addEventListener('click', saveSanctuaryImage);
   }
+  // Full save file backup and restore
+  const exportSaveBtn = document.getElementById('export-save');
+  if (exportSaveBtn) {
+    exportSaveBtn.addEventListener('click', exportSaveFile);
+  }
+  const importSaveBtn = document.getElementById('import-save');
+  const importSaveInput = document.getElementById('import-save-input');
+  if (importSaveBtn && importSaveInput) {
+    importSaveBtn.addEventListener('click', () => importSaveInput.click());
+    importSaveInput.addEventListener('change', onImportSaveFileChosen);
+  }
   // Friend code buttons
   const exportBtn = document.getElementById('export-friend-code');
   if (exportBtn) {
@@ -2472,6 +3606,9 @@ function wrapText(ctx, text, maxWidth, maxLines) {
   return lines;
 }
 
+// Colors of the mastery tiers on cards and in the Sanctuary image
+const MASTERY_COLORS = { Bronze: '#a0522d', Silver: '#78909c', Gold: '#c49000', Platinum: '#5c6bc0' };
+
 /**
  * Save the current Sanctuary cards view as a PNG image.  This function
  * synthesizes a new canvas replicating the cards layout, species counts,
@@ -2481,6 +3618,7 @@ function wrapText(ctx, text, maxWidth, maxLines) {
  */
 function saveSanctuaryImage() {
   try {
+    const { speciesList, reserveCounts, seasonAnimalsSaved, bestSeasonTotal, biomesUnlocked } = game.state;
     // Determine the list of species to render. Include species from the
     // main speciesList and any reserveCounts keys not already present.
     const speciesSet = new Set();
@@ -2529,7 +3667,7 @@ function saveSanctuaryImage() {
     // Season stats (top-right)
     ctx.font = '14px Arial';
     ctx.fillStyle = '#333';
-    const seasonStr = `Season saved: ${Math.floor(seasonAnimalsSaved)}  (Best: ${Math.floor(bestSeasonTotal)})`;
+    const seasonStr = `Season saved: ${formatNumber(seasonAnimalsSaved)}  (Best: ${formatNumber(bestSeasonTotal)})`;
     const seasonWidth = ctx.measureText(seasonStr).width;
     const seasonX = canvasW - padding - seasonWidth;
     const seasonY = padding + 26;
@@ -2588,7 +3726,11 @@ function saveSanctuaryImage() {
       // Saved count
       ctx.font = '12px Arial';
       ctx.fillStyle = saved ? '#333' : '#999';
-      ctx.fillText(`Saved: ${countSaved}`, x + 35, y + 25 + 25);
+      ctx.fillText(`Saved: ${formatNumber(countSaved)}`, x + 35, y + 25 + 25);
+      // Mastery tier
+      const tier = EscapeEngine.masteryTier(game.state.speciesRescued[spName] || 0);
+      ctx.fillStyle = tier ? MASTERY_COLORS[tier.name] : '#999';
+      ctx.fillText(masteryLabel(spName), x + 35, y + 25 + 40);
       // Bonus text: find in speciesList or biomes
       let bonusText = '';
       for (let sp of speciesList) {
@@ -2615,7 +3757,7 @@ function saveSanctuaryImage() {
       ctx.font = '12px Arial';
       ctx.fillStyle = '#666';
       const lines = wrapText(ctx, bonusText, cardW - 35, 3);
-      let lineY = y + 25 + 40;
+      let lineY = y + 25 + 55;
       for (let line of lines) {
         ctx.fillText(line, x + 35, lineY);
         lineY += 15;
@@ -2661,7 +3803,7 @@ function saveSanctuaryImage() {
 function generatePlayerId() {
   // Try to get an existing ID from localStorage
   try {
-    const stored = localStorage.getItem('extinctionEscapePlayerId');
+    const stored = localStorage.getItem(profileStorageKey(PLAYER_ID_KEY));
     if (stored) {
       return stored;
     }
@@ -2679,7 +3821,7 @@ function generatePlayerId() {
     id = Math.random().toString(36).substr(2, 10);
   }
   try {
-    localStorage.setItem('extinctionEscapePlayerId', id);
+    localStorage.setItem(profileStorageKey(PLAYER_ID_KEY), id);
   } catch (_) {
     // ignore errors writing to localStorage
   }
@@ -2692,7 +3834,7 @@ function generatePlayerId() {
  * season total.  This keeps the format human-readable but not obvious.
  */
 function getFriendCode() {
-  const data = { id: playerId, best: bestSeasonTotal || 0 };
+  const data = { id: playerId, best: game.state.bestSeasonTotal || 0 };
   const json = JSON.stringify(data);
   // btoa may throw if string contains non-ASCII characters; all keys are ASCII
   try {
@@ -2757,17 +3899,20 @@ function importFriendCode() {
     alert('Invalid friend code.\nPlease make sure you entered it correctly.');
     return;
   }
-  const ourBest = Math.floor(bestSeasonTotal) || 0;
+  const ourBest = Math.floor(game.state.bestSeasonTotal) || 0;
   let message;
   if (friendBest > ourBest) {
-    message = `Your friend\u2019s best season saved ${friendBest} animals. That’s more than your record of ${ourBest}! Time to rescue more!`;
+    message = `Your friend\u2019s best season saved ${formatNumber(friendBest)} animals. That’s more than your record of ${formatNumber(ourBest)}! Time to rescue more!`;
   } else if (friendBest < ourBest) {
-    message = `You’re ahead! Your best season saved ${ourBest} animals, while your friend saved ${friendBest}.`;
+    message = `You’re ahead! Your best season saved ${formatNumber(ourBest)} animals, while your friend saved ${formatNumber(friendBest)}.`;
   } else {
-    message = `It’s a tie! Both you and your friend have saved ${ourBest} animals in your best seasons.`;
+    message = `It’s a tie! Both you and your friend have saved ${formatNumber(ourBest)} animals in your best seasons.`;
   }
   alert(message);
 }
 
-// Start the game after DOM is ready
-document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
+// Start the game after DOM is ready.  Biome packs must be registered
+// before the save is loaded.
+document.addEventListener('DOMContentLoaded', () => {
+  loadBiomePacks().then(init);
+});
\ No newline at end of file
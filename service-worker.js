@@ -4,14 +4,17 @@
 
 // Bump the cache name whenever the application version changes to force
 // the browser to fetch a fresh copy of the assets.  This version corresponds
-// to the v0.7.0 release.
-const CACHE_NAME = 'extinction-escape-cache-v7';
+// to the v0.8.0 release.
+const CACHE_NAME = 'extinction-escape-cache-v8';
 const URLS_TO_CACHE = [
   './',
   'index.html',
+  'engine.js',
   'script.js',
   'style.css',
   'manifest.json',
+  'biomes/index.json',
+  'biomes/savannah.json',
   'assets/header.png',
   'assets/icon-192.png',
   'assets/icon-512.png'
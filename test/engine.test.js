@@ -0,0 +1,246 @@
+/* Extinction Escape: headless engine checks
+ * Runs the engine outside the browser to check the simulation and the save
+ * round trip and migrations.  Run with `node test/engine.test.js` (Node 18
+ * or newer).
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const E = require('../engine.js');
+
+// A fixed clock so that saves and offline time are reproducible
+const NOW = Date.UTC(2025, 0, 1);
+
+// Serialize a state and parse it again, as saveGame() and loadGame() do
+function roundTrip(state, engine) {
+  return JSON.parse(JSON.stringify((engine || E).serializeState(state)));
+}
+
+// A separate copy of the engine, so that biome packs registered with it stay
+// out of E
+function freshEngine() {
+  delete require.cache[require.resolve('../engine.js')];
+  return require('../engine.js');
+}
+
+test('createState starts an empty reserve', () => {
+  const state = E.createState(NOW);
+  assert.strictEqual(state.now, NOW);
+  assert.strictEqual(state.coins, 0);
+  assert.strictEqual(state.animalsSaved, 0);
+  assert.deepStrictEqual(state.unitsOwned, E.unitDefinitions.map(() => 0));
+});
+
+test('advance rescues animals with the units owned', () => {
+  const state = E.createState(NOW);
+  state.unitsOwned[0] = 10;
+  // Start the first world event, whose bonus then applies for hours
+  E.advance(state, 0);
+  const rate = E.computeRescueRate(state);
+  assert.ok(rate > 0);
+  // Short enough that the first mission is still running
+  E.advance(state, 10);
+  const expected = rate * 10;
+  assert.ok(Math.abs(state.animalsSaved - expected) < 1e-6, `saved ${state.animalsSaved}, expected ${expected}`);
+  assert.strictEqual(state.lifetimeAnimalsSaved, state.animalsSaved);
+  assert.strictEqual(state.now, NOW + 10 * 1000);
+});
+
+test('a saved game restores to the same progress', () => {
+  const game = E.createGame(E.createState(NOW));
+  game.state.coins = 5000;
+  assert.ok(game.dispatch('buyUnit', { index: 0, quantity: 3 }));
+  assert.ok(game.dispatch('buyUpgrade', { index: 0, quantity: 1 }));
+  game.advance(30);
+  const save = roundTrip(game.state);
+  assert.strictEqual(save.schemaVersion, E.SAVE_SCHEMA_VERSION);
+  const restored = E.restoreState(save, game.state.now);
+  assert.strictEqual(restored.coins, game.state.coins);
+  assert.strictEqual(restored.animalsSaved, game.state.animalsSaved);
+  assert.deepStrictEqual(restored.unitsOwned, game.state.unitsOwned);
+  assert.deepStrictEqual(restored.nextCosts, game.state.nextCosts);
+  assert.deepStrictEqual(restored.upgradesOwned, game.state.upgradesOwned);
+  assert.strictEqual(restored.globalRateBonus, game.state.globalRateBonus);
+  assert.deepStrictEqual(roundTrip(restored), save);
+});
+
+test('a v0.5 save migrates to the current schema', () => {
+  const save = E.migrateSave({
+    coins: 120,
+    animalsSaved: 300,
+    unitsOwned: [2, 1],
+    nextCosts: [12, 130],
+    upgradesOwned: [],
+    upgradeCosts: [],
+    currentMissionIndex: 0,
+    missionActive: false,
+    speciesState: [{ name: 'Koala', saved: true }],
+    tasksCompleted: {}
+  });
+  assert.strictEqual(save.schemaVersion, E.SAVE_SCHEMA_VERSION);
+  assert.strictEqual(save.lifetimeAnimalsSaved, 300);
+  assert.strictEqual(save.permitsTotal, 0);
+  assert.deepStrictEqual(save.biomesUnlocked, {});
+  const state = E.restoreState(save, NOW);
+  assert.strictEqual(state.unitsOwned[0], 2);
+  assert.ok(state.speciesList.find(sp => sp.name === 'Koala').saved);
+});
+
+test('a v0.7 save keeps its season totals and refunds the permit shop', () => {
+  const state = E.restoreState({
+    schemaVersion: 3,
+    coins: 10,
+    animalsSaved: 0,
+    unitsOwned: [],
+    nextCosts: [],
+    upgradesOwned: [],
+    upgradeCosts: [],
+    permitsTotal: 4,
+    permitsAvailable: 1,
+    permitUpgrades: { rate: 2, animals: 0, time: 0, map: 0 },
+    seasonAnimalsSaved: 900,
+    bestSeasonTotal: 1500
+  }, NOW);
+  assert.strictEqual(state.seasonAnimalsSaved, 900);
+  assert.strictEqual(state.bestSeasonTotal, 1500);
+  // Two levels of the old shop cost 1 + 2 permits
+  assert.strictEqual(state.permitsAvailable, 4);
+});
+
+test('malformed values are repaired instead of loaded', () => {
+  const state = E.restoreState({
+    schemaVersion: E.SAVE_SCHEMA_VERSION,
+    coins: 'lots',
+    animalsSaved: -5,
+    unitsOwned: [1, null, 'x'],
+    globalRateBonus: 'abc',
+    globalTimeReduction: null,
+    globalAnimalBonus: -1,
+    missionsCompleted: -5,
+    achievementRateBonus: {},
+    achievementTimeReduction: 'x',
+    achievementAnimalBonus: Infinity,
+    currentQuestStep: '2',
+    activeEvent: { id: 'flood' }
+  }, NOW);
+  assert.strictEqual(state.coins, 0);
+  assert.strictEqual(state.animalsSaved, 0);
+  assert.deepStrictEqual(state.unitsOwned.slice(0, 3), [1, 0, 0]);
+  assert.strictEqual(state.globalRateBonus, 0);
+  assert.strictEqual(state.globalTimeReduction, 0);
+  assert.strictEqual(state.globalAnimalBonus, 0);
+  assert.strictEqual(state.missionsCompleted, 0);
+  assert.strictEqual(state.achievementRateBonus, 0);
+  assert.strictEqual(state.achievementTimeReduction, 0);
+  assert.strictEqual(state.achievementAnimalBonus, 0);
+  assert.strictEqual(state.currentQuestStep, 0);
+  assert.strictEqual(state.activeEvent, null);
+  E.advance(state, 5);
+  assert.ok(Number.isFinite(state.coins) && state.coins > 0);
+  assert.ok(Number.isFinite(state.animalsSaved));
+});
+
+test('a save from a newer build is refused', () => {
+  assert.throws(() => E.migrateSave({ schemaVersion: E.SAVE_SCHEMA_VERSION + 1 }), /newer than this build/);
+});
+
+test('offline time plays out as if the game had stayed open', () => {
+  const open = E.createState(NOW);
+  open.unitsOwned[0] = 10;
+  open.globalRateBonus = 0.5;
+  open.achievementRateBonus = 1;
+  E.advance(open, 0);
+  const away = E.restoreState(roundTrip(open), NOW);
+  E.advance(open, 600);
+  away.now = NOW + 600 * 1000;
+  const report = E.collectOfflineEarnings(away, 600);
+  assert.ok(Math.abs(report.coins - open.coins) < 1e-6, `earned ${report.coins}, expected ${open.coins}`);
+  assert.ok(Math.abs(away.animalsSaved - open.animalsSaved) < 1e-6);
+  assert.strictEqual(away.missionsCompleted, open.missionsCompleted);
+  // The coins wait to be claimed
+  assert.strictEqual(away.unclaimedOfflineCoins, report.coins);
+});
+
+test('a failed mission still counts as finished', () => {
+  const game = E.createGame(E.createState(NOW));
+  game.advance(0);
+  assert.ok(game.dispatch('startMission', { id: game.state.missionBoard[0].id }));
+  // No units, so nothing is rescued before the time runs out
+  const events = game.advance(game.state.missionTimeLeft + 1);
+  const finished = events.find(ev => ev.type === 'missionFinished');
+  assert.strictEqual(finished.outcome, 'failed');
+  assert.strictEqual(game.state.missionsCompleted, 1);
+  assert.strictEqual(game.state.missionOutcomes.failed, 1);
+  assert.ok(game.state.retryOffer);
+});
+
+test('a save with an unknown active event restores without it', () => {
+  const game = E.createGame(E.createState(NOW));
+  game.advance(1);
+  const save = roundTrip(game.state);
+  // As if saved during an event of a biome pack that failed to load
+  save.activeEvent = Object.assign({}, save.activeEvent, { id: 'migration', name: 'Great Migration' });
+  save.missionBoard.forEach(offer => {
+    if (offer.crisis) offer.eventId = 'migration';
+  });
+  const state = E.restoreState(save, game.state.now);
+  assert.strictEqual(state.activeEvent, null);
+  assert.ok(state.missionBoard.every(offer => !offer.crisis));
+  E.advance(state, 1);
+  assert.ok(state.activeEvent && state.activeEvent.id !== 'migration');
+});
+
+test('an unknown running event offers no crisis mission', () => {
+  const state = E.createState(NOW);
+  E.advance(state, 0);
+  state.activeEvent.id = 'migration';
+  state.missionBoard = state.missionBoard.filter(offer => !offer.crisis);
+  state.boardRefreshAt = state.now;
+  assert.doesNotThrow(() => E.advance(state, 1));
+  assert.ok(state.missionBoard.every(offer => !offer.crisis));
+});
+
+test('a save keeps biome pack progress while the pack is not loaded', () => {
+  const withPack = freshEngine();
+  withPack.registerBiomePack(require('../biomes/savannah.json'));
+  const game = withPack.createGame(withPack.createState(NOW));
+  game.state.permitsAvailable = 10;
+  game.dispatch('unlockBiome', 'savannah');
+  game.advance(1);
+  const unit = game.state.unitDefinitions.length - 1;
+  game.state.unitsOwned[unit] = 7;
+  game.state.upgradesOwned[game.state.upgradesOwned.length - 1] = 2;
+  game.state.speciesList.find(sp => sp.name === 'Giraffe').saved = true;
+  game.state.reserveCounts.Giraffe = 30;
+  game.state.activeEvent.id = 'migration';
+  const save = roundTrip(game.state, withPack);
+
+  // Without the pack the save loads and plays on
+  const state = E.restoreState(save, NOW);
+  assert.strictEqual(state.unitDefinitions.length, E.unitDefinitions.length);
+  assert.strictEqual(state.activeEvent, null);
+  assert.doesNotThrow(() => E.advance(state, 600));
+  assert.ok(state.reserveCounts.Giraffe >= 30);
+
+  // Saving again and loading with the pack gives the progress back
+  const restored = withPack.restoreState(roundTrip(state), NOW);
+  assert.strictEqual(restored.unitsOwned[unit], 7);
+  assert.strictEqual(restored.upgradesOwned[restored.upgradesOwned.length - 1], 2);
+  assert.ok(restored.speciesList.find(sp => sp.name === 'Giraffe').saved);
+});
+
+test('a biome pack registered after a game started joins that game', () => {
+  const late = freshEngine();
+  const game = late.createGame(late.createState(NOW));
+  game.advance(1);
+  assert.deepStrictEqual(late.registerBiomePack(require('../biomes/savannah.json')), []);
+  game.state.permitsAvailable = 10;
+  game.state.coins = 10000;
+  assert.ok(game.dispatch('unlockBiome', 'savannah'));
+  const upgrade = late.upgradeDefinitions.findIndex(upg => upg.name === 'Water Bowsers');
+  assert.ok(game.dispatch('buyUpgrade', { index: upgrade, quantity: 1 }));
+  assert.strictEqual(game.state.upgradesOwned[upgrade], 1);
+  game.advance(60);
+  assert.ok(Number.isFinite(game.state.coins));
+  const restored = late.restoreState(roundTrip(game.state, late), NOW);
+  assert.strictEqual(restored.upgradesOwned[upgrade], 1);
+});